@@ -1,4 +1,5 @@
 require('dotenv').config();
+const fs = require('fs');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -9,6 +10,44 @@ const TMDBProvider = require('./src/tmdb-provider');
 const TorrentScanner = require('./src/torrent-scanner');
 const M3UGenerator = require('./src/m3u-generator');
 const TorrentStreamer = require('./src/torrent-streamer');
+const LibraryStore = require('./src/library-store');
+const XtreamAPI = require('./src/xtream-api');
+const StremioAddon = require('./src/stremio-addon');
+const EPGGenerator = require('./src/epg-generator');
+const HLSTranscoder = require('./src/hls-transcoder');
+const JobManager = require('./src/job-manager');
+const TorrentHealthChecker = require('./src/torrent-health');
+const AuthManager = require('./src/auth-manager');
+const WatchHistory = require('./src/watch-history');
+const { loadCatalogs } = require('./src/catalogs');
+const TitleRequests = require('./src/title-requests');
+const { searchLibrary } = require('./src/library-search');
+const { mapWithConcurrency } = require('./src/concurrency');
+const { toWebVTT } = require('./src/subtitles');
+const { formatEpisodeTag } = require('./src/episode-parser');
+
+// Accepted Host / X-Forwarded-Host and X-Forwarded-Prefix values; anything
+// else would end up verbatim in playlist URLs
+const HOST_PATTERN = /^[a-z0-9.-]+(:\d+)?$|^\[[0-9a-f:.]+\](:\d+)?$/i;
+const PREFIX_PATTERN = /^(\/[\w.~-]+)*$/;
+
+// Media requests (range requests, HLS playlist polls and segments, Xtream
+// streams) come by the hundred per title watched, so they skip the rate limit
+const MEDIA_PATH_PATTERN = /^\/(stream|hls|subtitles)\/|^\/movie\/[^/]+\/[^/]+\/[^/]+\.\w+$/;
+
+// TRUST_PROXY follows Express' "trust proxy" setting: true, a hop count, or
+// a comma-separated list of addresses/subnets (e.g. loopback, 10.0.0.0/8)
+function parseTrustProxy(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+
+function normalizePrefix(value) {
+  const prefix = (value || '').replace(/\/+$/, '');
+  return !prefix || prefix.startsWith('/') ? prefix : `/${prefix}`;
+}
 
 class MovieProxyServer {
   constructor() {
@@ -16,20 +55,174 @@ class MovieProxyServer {
     this.port = process.env.PORT || 3000;
     this.movieCache = new Map();
     this.torrentCache = new Map();
+    this.seriesCache = new Map();
     this.playlistCache = null;
+    this.playlistIds = [];
+    this.playlistSeriesIds = [];
+    this.catalogIds = {};
+    this.variantPlaylists = new Map();
     this.lastUpdate = null;
     
+    // Playlist URLs use PUBLIC_URL (which may carry a path prefix) or are
+    // derived per request; BASE_PATH is the prefix the app is served under
+    this.publicUrl = process.env.PUBLIC_URL ? process.env.PUBLIC_URL.replace(/\/+$/, '') : null;
+    this.basePath = normalizePrefix(process.env.BASE_PATH || (this.publicUrl ? new URL(this.publicUrl).pathname : ''));
+    
     this.tmdb = new TMDBProvider(process.env.TMDB_API_KEY);
     this.torrentScanner = new TorrentScanner();
     this.m3uGenerator = new M3UGenerator();
+    this.epgGenerator = new EPGGenerator(this.m3uGenerator);
     this.streamer = new TorrentStreamer();
+    this.hls = new HLSTranscoder(this.streamer);
+    this.libraryStore = new LibraryStore();
+    this.jobs = new JobManager();
+    this.healthChecker = new TorrentHealthChecker();
+    this.auth = new AuthManager();
+    this.catalogs = loadCatalogs();
+    this.titleRequests = new TitleRequests();
+    this.history = new WatchHistory();
+    this.recentlyAddedCount = parseInt(process.env.RECENTLY_ADDED_COUNT) || 20;
+    
+    // Finished /stream requests feed the per-user watch history
+    this.streamer.on('streamEnd', stream => this.recordWatch(stream));
+    
+    this.loadLibrary();
+    this.xtream = new XtreamAPI(this.movieCache, this.m3uGenerator, this.tmdb, this.auth);
+    this.stremio = new StremioAddon(this);
     
     this.setupMiddleware();
     this.setupRoutes();
     this.setupScheduledTasks();
   }
 
+  // Users are token holders; with auth disabled everyone shares one history
+  getUserId(req) {
+    return req.user ? req.user.id : 'default';
+  }
+
+  recordWatch(stream) {
+    if (!stream.userId) return;
+    
+    const movie = this.movieCache.get(String(stream.id));
+    if (!movie) return;
+    
+    this.history.record(stream.userId, {
+      id: String(movie.id),
+      type: 'movie',
+      title: movie.title,
+      runtime: movie.runtime
+    }, stream);
+  }
+
+  // "Continue Watching" from the user's history and "Recently Added" from the
+  // library, placed ahead of the genre groups
+  getPersonalGroups(userId, profile) {
+    const withTorrent = movie => this.getProfileMovie(movie, profile);
+    
+    const continueWatching = this.history.getInProgress(userId)
+      .map(entry => {
+        const movie = this.movieCache.get(entry.id);
+        return movie && { movie: withTorrent(movie), startTime: entry.positionSeconds };
+      })
+      .filter(Boolean);
+    
+    const recentlyAdded = this.playlistIds
+      .map(id => this.movieCache.get(id.toString()))
+      .filter(movie => movie && movie.addedAt)
+      .sort((a, b) => b.addedAt - a.addedAt)
+      .slice(0, this.recentlyAddedCount)
+      .map(movie => ({ movie: withTorrent(movie) }));
+    
+    return [
+      { name: 'Continue Watching', movies: continueWatching },
+      { name: 'Recently Added', movies: recentlyAdded }
+    ];
+  }
+
+  // Catalogs configured with group: true, listed after the personal groups
+  getCatalogGroups(profile) {
+    return this.catalogs
+      .filter(catalog => catalog.group)
+      .map(catalog => ({
+        name: catalog.name,
+        movies: this.getCatalogMovies(catalog.id, profile).map(movie => ({ movie }))
+      }));
+  }
+
+  // Library movies of a catalog in TMDB order; titles without a torrent are left out
+  getCatalogMovies(catalogId, profile) {
+    return (this.catalogIds[catalogId] || [])
+      .map(id => this.movieCache.get(id.toString()))
+      .filter(Boolean)
+      .map(movie => this.getProfileMovie(movie, profile));
+  }
+
+  // The movie with its torrent swapped for the profile's variant
+  getProfileMovie(movie, profile) {
+    return { ...movie, torrent: this.getProfileTorrent(movie, profile) };
+  }
+
+  // Profile names come from query strings, so only own keys count
+  getProfileTorrent(movie, profile) {
+    if (profile === 'default') return movie.torrent || null;
+    return movie.torrents && Object.hasOwn(movie.torrents, profile) ? movie.torrents[profile] : null;
+  }
+
+  getAdminStats() {
+    return {
+      timestamp: new Date().toISOString(),
+      totals: this.streamer.getStats(),
+      streams: this.streamer.getStreamStats(),
+      torrents: this.streamer.getTorrentStats(),
+      hlsSessions: this.hls.sessions.size
+    };
+  }
+
+  // Base URL for links handed to this client, e.g. https://example.com/movies
+  getBaseUrl(req) {
+    if (this.publicUrl) return this.publicUrl;
+    
+    // X-Forwarded-* only count when the peer is a trusted proxy; Express
+    // already applies the same rule to req.protocol
+    const trusted = this.app.get('trust proxy fn')(req.socket.remoteAddress, 0);
+    const forwarded = name => (trusted && req.get(name) ? req.get(name).split(',')[0].trim() : null);
+    
+    let host = forwarded('X-Forwarded-Host') || req.get('Host');
+    if (!host || !HOST_PATTERN.test(host)) {
+      host = `localhost:${this.port}`;
+    }
+    
+    let prefix = normalizePrefix(forwarded('X-Forwarded-Prefix') || this.basePath);
+    if (!PREFIX_PATTERN.test(prefix)) {
+      prefix = this.basePath;
+    }
+    
+    return `${req.protocol}://${host}${prefix}`;
+  }
+
+  // Path part of a base URL, e.g. /movies
+  getUrlPrefix(baseUrl) {
+    return new URL(baseUrl).pathname.replace(/\/$/, '');
+  }
+
   setupMiddleware() {
+    if (process.env.TRUST_PROXY) {
+      this.app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+    }
+    
+    // Proxies that forward /movies/... without stripping the prefix
+    if (this.basePath) {
+      this.app.use((req, res, next) => {
+        if (req.url === this.basePath || req.url.startsWith(`${this.basePath}/`) || req.url.startsWith(`${this.basePath}?`)) {
+          req.url = req.url.substring(this.basePath.length) || '/';
+          if (req.url.startsWith('?')) {
+            req.url = `/${req.url}`;
+          }
+        }
+        next();
+      });
+    }
+    
     // Security middleware
     this.app.use(helmet());
     this.app.use(cors());
@@ -38,7 +231,8 @@ class MovieProxyServer {
     const limiter = rateLimit({
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
       max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-      message: 'Too many requests from this IP'
+      message: 'Too many requests from this IP',
+      skip: req => MEDIA_PATH_PATTERN.test(req.path)
     });
     this.app.use(limiter);
     
@@ -47,15 +241,64 @@ class MovieProxyServer {
   }
 
   setupRoutes() {
+    const requireToken = this.auth.requireToken();
+    const requireAdmin = this.auth.requireAdmin();
+    const requireStreamAccess = this.auth.requireStreamAccess();
+
     // Main playlist endpoint
-    this.app.get('/playlist.m3u', async (req, res) => {
+    this.app.get('/playlist.m3u', requireToken, async (req, res) => {
       try {
-        console.log('Generating M3U playlist...');
-        const playlist = await this.generatePlaylist();
+        const profile = req.query.profile || 'default';
+        const format = req.query.format === 'hls' ? 'hls' : 'raw';
+        if (!this.torrentScanner.hasProfile(profile)) {
+          return res.status(400).json({ error: `Unknown quality profile: ${profile}` });
+        }
+        
+        const catalog = req.query.catalog ? this.catalogs.find(c => c.id === req.query.catalog) : null;
+        if (req.query.catalog && !catalog) {
+          return res.status(400).json({ error: `Unknown catalog: ${req.query.catalog}` });
+        }
+        
+        const userId = this.getUserId(req);
+        const baseUrl = this.getBaseUrl(req);
+        let playlist;
+        
+        if (catalog) {
+          console.log(`Generating M3U playlist for catalog ${catalog.id} (${profile} profile, ${format} streams)...`);
+          playlist = await this.generateCatalogPlaylist(catalog, profile, format);
+        } else {
+          console.log(`Generating M3U playlist (${profile} profile, ${format} streams)...`);
+          const library = profile !== 'default' || format !== 'raw'
+            ? await this.generateVariantPlaylist(profile, format)
+            : await this.generatePlaylist();
+          
+          playlist = this.m3uGenerator.insertGroups(library, [
+            ...this.getPersonalGroups(userId, profile),
+            ...this.getCatalogGroups(profile)
+          ], {
+            profile: profile === 'default' ? null : profile,
+            hls: format === 'hls'
+          });
+        }
+        playlist = this.m3uGenerator.resolveUrls(playlist, baseUrl);
         
         res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
         res.setHeader('Content-Disposition', 'attachment; filename="movies.m3u"');
-        res.setHeader('Cache-Control', 'public, max-age=3600');
+        if (!this.publicUrl) {
+          res.vary('Host');
+          res.vary('X-Forwarded-Host');
+          res.vary('X-Forwarded-Proto');
+          res.vary('X-Forwarded-Prefix');
+        }
+        
+        // Stream URLs are signed for the requesting user
+        if (this.auth.enabled) {
+          res.setHeader('Cache-Control', 'private, no-cache');
+          return res.send(this.auth.signPlaylist(playlist, req.user.id, this.getUrlPrefix(baseUrl)));
+        }
+        
+        // Continue Watching changes with every stream
+        res.setHeader('Cache-Control', this.history.list(userId).length > 0 ? 'no-cache' : 'public, max-age=3600');
         res.send(playlist);
       } catch (error) {
         console.error('Error generating playlist:', error);
@@ -63,26 +306,184 @@ class MovieProxyServer {
       }
     });
 
+    // Configured catalogs and how many library titles each holds
+    this.app.get('/catalogs', requireToken, (req, res) => {
+      res.json(this.catalogs.map(catalog => ({
+        ...catalog,
+        count: this.getCatalogMovies(catalog.id, 'default').filter(movie => movie.torrent).length
+      })));
+    });
+
+    // XMLTV guide matching the playlist's tvg-id and tvg-chno
+    this.app.get('/epg.xml', requireStreamAccess, async (req, res) => {
+      try {
+        await this.generatePlaylist();
+        const { movies, series } = this.getPlaylistContent();
+        
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        res.setHeader('Cache-Control', 'public, max-age=3600');
+        res.send(this.epgGenerator.buildXMLTV(movies, series));
+      } catch (error) {
+        console.error('Error generating EPG:', error);
+        res.status(500).json({ error: 'Failed to generate EPG' });
+      }
+    });
+
     // Stream endpoint
-    this.app.get('/stream/:movieId', async (req, res) => {
+    this.app.get('/stream/:movieId', requireStreamAccess, async (req, res) => {
       try {
         const movieId = req.params.movieId;
         console.log(`Streaming request for movie: ${movieId}`);
         
+        const profile = req.query.profile || 'default';
+        if (!this.torrentScanner.hasProfile(profile)) {
+          return res.status(400).json({ error: `Unknown quality profile: ${profile}` });
+        }
+        
         const movie = this.movieCache.get(movieId);
+        const torrent = movie && this.getProfileTorrent(movie, profile);
+        if (!torrent) {
+          return res.status(404).json({ error: 'Movie not found or no torrent available' });
+        }
+
+        const result = await this.streamer.streamTorrent(torrent, res, null, {
+          id: movieId,
+          title: movie.title,
+          userId: this.getUserId(req)
+        });
+        this.recordMovieFailover(movie, profile, torrent, result);
+        
+        // Subtitle tracks are only known once the torrent metadata is in
+        if (profile === 'default' && result && result.torrent && !movie.subtitles) {
+          this.updateSubtitles(movie).catch(error => {
+            console.error(`Error reading subtitles for ${movie.title}:`, error.message);
+          });
+        }
+      } catch (error) {
+        console.error('Streaming error:', error);
+        res.status(500).json({ error: 'Streaming failed' });
+      }
+    });
+
+    // Subtitles from the torrent, converted to WebVTT
+    this.app.get('/subtitles/:movieId/:lang.vtt', requireStreamAccess, async (req, res) => {
+      try {
+        const movie = this.movieCache.get(req.params.movieId);
         if (!movie || !movie.torrent) {
           return res.status(404).json({ error: 'Movie not found or no torrent available' });
         }
+        
+        const tracks = await this.updateSubtitles(movie);
+        const track = tracks.find(t => t.key === req.params.lang)
+          || tracks.find(t => t.language === req.params.lang);
+        if (!track) {
+          return res.status(404).json({ error: 'Subtitle language not available' });
+        }
+        
+        const vtt = toWebVTT(await this.streamer.readFile(track.file, track.torrentId), track.file.name);
+        res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+        res.send(vtt);
+      } catch (error) {
+        console.error('Subtitle error:', error);
+        res.status(500).json({ error: 'Failed to load subtitles' });
+      }
+    });
+
+    // HLS remux/transcode of a movie, optionally for one quality profile
+    const handleHLS = async (req, res) => {
+      try {
+        if (!this.hls.enabled) {
+          return res.status(503).json({ error: 'HLS streaming not available' });
+        }
+        
+        const { movieId, profile, segment } = req.params;
+        if (profile && !this.torrentScanner.hasProfile(profile)) {
+          return res.status(400).json({ error: `Unknown quality profile: ${profile}` });
+        }
+        
+        const movie = this.movieCache.get(movieId);
+        const torrent = movie && this.getProfileTorrent(movie, profile || 'default');
+        if (!torrent) {
+          return res.status(404).json({ error: 'Movie not found or no torrent available' });
+        }
+        
+        const sessionKey = profile ? `${movie.id}-${profile}` : movie.id.toString();
+        const filePath = segment
+          ? await this.hls.getSegmentPath(sessionKey, segment, torrent)
+          : await this.hls.getPlaylistPath(sessionKey, torrent);
+        
+        res.setHeader('Content-Type', this.hls.getContentType(filePath));
+        res.setHeader('Cache-Control', segment ? 'public, max-age=86400' : 'no-cache');
+        
+        // Segment URIs are relative, so they need the playlist's credentials appended
+        if (!segment && req.streamQuery) {
+          const playlist = await fs.promises.readFile(filePath, 'utf8');
+          return res.send(this.hls.appendQuery(playlist, req.streamQuery));
+        }
+        
+        res.sendFile(filePath);
+      } catch (error) {
+        console.error('HLS error:', error.message);
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'HLS streaming failed' });
+        }
+      }
+    };
+    const segmentPattern = ':segment(init\\.mp4|segment_\\d{5}\\.m4s)';
+    this.app.get('/hls/:movieId/index.m3u8', requireStreamAccess, handleHLS);
+    this.app.get(`/hls/:movieId/${segmentPattern}`, requireStreamAccess, handleHLS);
+    this.app.get('/hls/:movieId/:profile/index.m3u8', requireStreamAccess, handleHLS);
+    this.app.get(`/hls/:movieId/:profile/${segmentPattern}`, requireStreamAccess, handleHLS);
+
+    // Episode stream endpoint, selects the episode's file inside a shared season pack
+    this.app.get('/stream/:seriesId/:season/:episode', requireStreamAccess, async (req, res) => {
+      try {
+        const { seriesId } = req.params;
+        const seasonNumber = parseInt(req.params.season, 10);
+        const episodeNumber = parseInt(req.params.episode, 10);
+        console.log(`Streaming request for series ${seriesId} S${seasonNumber}E${episodeNumber}`);
+        
+        const series = this.seriesCache.get(seriesId);
+        const season = series && series.seasons.find(s => s.seasonNumber === seasonNumber);
+        const episode = season && season.episodes.find(e => e.episodeNumber === episodeNumber);
+        const holder = episode && (episode.torrent ? episode : season);
+        const torrent = holder && holder.torrent;
+        
+        if (!torrent) {
+          return res.status(404).json({ error: 'Episode not found or no torrent available' });
+        }
 
-        await this.streamer.streamTorrent(movie.torrent, res);
+        const result = await this.streamer.streamTorrent(torrent, res, { season: seasonNumber, episode: episodeNumber }, {
+          id: seriesId,
+          title: `${series.title} ${formatEpisodeTag(seasonNumber, episodeNumber)}`
+        });
+        
+        if (result && result.failed.length > 0) {
+          holder.torrent = this.rerankCandidates(torrent, result);
+          this.persistSeries([series.id]).catch(error => {
+            console.error(`Error saving failover for ${series.title}:`, error.message);
+          });
+        }
       } catch (error) {
         console.error('Streaming error:', error);
         res.status(500).json({ error: 'Streaming failed' });
       }
     });
 
+    // Series info endpoint
+    this.app.get('/series/:seriesId', requireToken, async (req, res) => {
+      const series = this.seriesCache.get(req.params.seriesId);
+      
+      if (!series) {
+        return res.status(404).json({ error: 'Series not found' });
+      }
+      
+      res.json(series);
+    });
+
     // Movie info endpoint
-    this.app.get('/movie/:movieId', async (req, res) => {
+    this.app.get('/movie/:movieId', requireToken, async (req, res) => {
       try {
         const movieId = req.params.movieId;
         const movie = this.movieCache.get(movieId);
@@ -91,36 +492,441 @@ class MovieProxyServer {
           return res.status(404).json({ error: 'Movie not found' });
         }
         
-        res.json(movie);
+        res.json({
+          ...movie,
+          matchConfidence: movie.torrent ? movie.torrent.matchConfidence : null,
+          health: movie.torrent ? movie.torrent.health || null : null
+        });
       } catch (error) {
         console.error('Error fetching movie info:', error);
         res.status(500).json({ error: 'Failed to fetch movie info' });
       }
     });
 
+    // Fuzzy search over the library's titles, cast, director and genres.
+    // With tmdb=true, TMDB matches missing from the library follow, marked
+    // unavailable and carrying the request that adds them.
+    this.app.get('/search', requireToken, async (req, res) => {
+      try {
+        const query = (req.query.q || '').trim();
+        if (!query) {
+          return res.status(400).json({ error: 'q is required' });
+        }
+        
+        const limit = Math.max(Math.min(parseInt(req.query.limit) || 20, 100), 1);
+        const baseUrl = this.getBaseUrl(req);
+        const channels = this.getChannelNumbers();
+        const library = Array.from(this.movieCache.values()).filter(movie => movie.torrent);
+        
+        const items = searchLibrary(library, query, movie => movie.genres || this.m3uGenerator.mapGenres(movie.genreIds), limit)
+          .map(({ movie, score, matchedOn }) => ({
+            ...this.m3uGenerator.buildJSONItem(movie, channels.get(movie.id.toString()) || null, baseUrl),
+            available: true,
+            score,
+            matchedOn
+          }));
+        
+        if (req.query.tmdb === 'true') {
+          const libraryIds = new Set(library.map(movie => movie.id.toString()));
+          const tmdbResults = await this.tmdb.searchMovies(query, parseInt(req.query.year) || null);
+          
+          tmdbResults
+            .filter(movie => !libraryIds.has(movie.id.toString()))
+            .slice(0, limit)
+            .forEach(movie => {
+              const request = this.titleRequests.findByTmdbId(movie.id);
+              items.push({
+                ...this.m3uGenerator.buildJSONItem(movie, null, baseUrl),
+                available: false,
+                availability: 'not yet available',
+                requestStatus: request ? request.status : null,
+                request: {
+                  method: 'POST',
+                  url: `${baseUrl}/library/requests`,
+                  body: { tmdbId: movie.id }
+                }
+              });
+            });
+        }
+        
+        // Stream and subtitle URLs are signed like the playlist's
+        if (this.auth.enabled) {
+          const prefix = this.getUrlPrefix(baseUrl);
+          items.filter(item => item.available).forEach(item => {
+            item.streamUrl = this.auth.signUrl(item.streamUrl, req.user.id, prefix);
+            item.subtitles.forEach(subtitle => {
+              subtitle.url = this.auth.signUrl(subtitle.url, req.user.id, prefix);
+            });
+          });
+        }
+        
+        res.setHeader('Cache-Control', 'private, no-cache');
+        res.json({ query, count: items.length, items });
+      } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ error: 'Search failed' });
+      }
+    });
+
+    // Stremio addon. Stremio cannot send headers, so with auth enabled the
+    // addon is installed from /addon/<token>/manifest.json instead.
+    const addonRoutes = route => [route, `/addon/:token${route}`];
+    const requireAddonToken = (req, res, next) => {
+      if (req.params.token) {
+        req.query.token = req.params.token;
+      }
+      requireToken(req, res, next);
+    };
+
+    this.app.get(addonRoutes('/manifest.json'), requireAddonToken, (req, res) => {
+      res.json(this.stremio.getManifest());
+    });
+
+    this.app.get(addonRoutes('/catalog/movie/:id/:extra.json').concat(addonRoutes('/catalog/movie/:id.json')), requireAddonToken, (req, res) => {
+      // Extras come as a path segment: genre=Action&skip=100
+      const extra = Object.fromEntries(new URLSearchParams(req.params.extra || ''));
+      const catalog = this.stremio.getCatalog(req.params.id, extra);
+      if (!catalog) {
+        return res.status(404).json({ error: 'Catalog not found' });
+      }
+      res.json(catalog);
+    });
+
+    this.app.get(addonRoutes('/meta/movie/:id.json'), requireAddonToken, async (req, res) => {
+      try {
+        const meta = await this.stremio.getMeta(req.params.id);
+        if (!meta) {
+          return res.status(404).json({ error: 'Movie not found' });
+        }
+        res.json(meta);
+      } catch (error) {
+        console.error('Stremio meta error:', error);
+        res.status(500).json({ error: 'Failed to fetch movie meta' });
+      }
+    });
+
+    this.app.get(addonRoutes('/stream/movie/:id.json'), requireAddonToken, (req, res) => {
+      const baseUrl = this.getBaseUrl(req);
+      const prefix = this.getUrlPrefix(baseUrl);
+      const signUrl = url => (this.auth.enabled ? this.auth.signUrl(url, req.user.id, prefix) : url);
+      
+      // Signed URLs expire, so Stremio must not keep them around
+      res.setHeader('Cache-Control', 'private, no-cache');
+      res.json(this.stremio.getStreams(req.params.id, baseUrl, signUrl));
+    });
+
+    // Xtream Codes compatible API
+    this.app.get('/player_api.php', async (req, res) => {
+      try {
+        // With token auth the Xtream password is an API token
+        if (this.auth.enabled && !this.xtream.authenticate(req.query.username, req.query.password)) {
+          return res.status(401).json({ user_info: { auth: 0 } });
+        }
+        
+        // Xtream clients build URLs from host and port, so a prefix is lost here
+        const baseUrl = new URL(this.getBaseUrl(req));
+        const protocol = baseUrl.protocol.replace(':', '');
+        const response = await this.xtream.handle(req.query, {
+          host: baseUrl.hostname,
+          port: baseUrl.port || (protocol === 'https' ? 443 : 80),
+          protocol
+        });
+        res.json(response);
+      } catch (error) {
+        console.error('Xtream API error:', error);
+        res.status(500).json({ error: 'Xtream API request failed' });
+      }
+    });
+
+    // Xtream Codes stream endpoint
+    this.app.get('/movie/:user/:pass/:id.:ext', async (req, res) => {
+      try {
+        const user = this.xtream.authenticate(req.params.user, req.params.pass);
+        if (!user) {
+          return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        const movie = this.movieCache.get(req.params.id);
+        if (!movie || !movie.torrent) {
+          return res.status(404).json({ error: 'Movie not found or no torrent available' });
+        }
+
+        console.log(`Xtream streaming request for movie: ${req.params.id}`);
+        const torrent = movie.torrent;
+        const result = await this.streamer.streamTorrent(torrent, res, null, {
+          id: req.params.id,
+          title: movie.title,
+          userId: user.id
+        });
+        this.recordMovieFailover(movie, 'default', torrent, result);
+      } catch (error) {
+        console.error('Streaming error:', error);
+        res.status(500).json({ error: 'Streaming failed' });
+      }
+    });
+
+    // Watch history of the requesting user
+    this.app.get('/history', requireToken, (req, res) => {
+      const userId = this.getUserId(req);
+      res.json({
+        userId,
+        inProgress: this.history.getInProgress(userId),
+        items: this.history.list(userId)
+      });
+    });
+
+    this.app.get('/history/:itemId', requireToken, (req, res) => {
+      const entry = this.history.get(this.getUserId(req), req.params.itemId);
+      if (!entry) {
+        return res.status(404).json({ error: 'Not in watch history' });
+      }
+      res.json(entry);
+    });
+
+    this.app.delete('/history', requireToken, (req, res) => {
+      const removed = this.history.clear(this.getUserId(req));
+      res.json({ removed });
+    });
+
+    this.app.delete('/history/:itemId', requireToken, (req, res) => {
+      const removed = this.history.clear(this.getUserId(req), req.params.itemId);
+      if (!removed) {
+        return res.status(404).json({ error: 'Not in watch history' });
+      }
+      res.json({ removed });
+    });
+
+    // Quality profiles available to ?profile=
+    this.app.get('/profiles', requireToken, (req, res) => {
+      res.json(Object.values(this.torrentScanner.profiles));
+    });
+
     // Server status
-    this.app.get('/status', async (req, res) => {
+    this.app.get('/status', requireAdmin, async (req, res) => {
       res.json({
         status: 'running',
         moviesInCache: this.movieCache.size,
+        seriesInCache: this.seriesCache.size,
         lastUpdate: this.lastUpdate,
         uptime: process.uptime(),
         memory: process.memoryUsage()
       });
     });
 
-    // Refresh content manually
-    this.app.post('/refresh', async (req, res) => {
+    // Admin: live streams and torrents
+    this.app.get('/admin/stats', requireAdmin, (req, res) => {
+      res.json(this.getAdminStats());
+    });
+
+    this.app.get('/admin/streams', requireAdmin, (req, res) => {
+      res.json(this.streamer.getStreamStats());
+    });
+
+    this.app.get('/admin/torrents', requireAdmin, (req, res) => {
+      res.json(this.streamer.getTorrentStats());
+    });
+
+    // Server-Sent Events feed of /admin/stats
+    this.app.get('/admin/events', requireAdmin, (req, res) => {
+      const interval = (parseInt(process.env.ADMIN_STATS_INTERVAL) || 2) * 1000;
+
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.flushHeaders();
+
+      const send = () => {
+        res.write(`event: stats\ndata: ${JSON.stringify(this.getAdminStats())}\n\n`);
+      };
+
+      send();
+      const timer = setInterval(send, interval);
+      req.on('close', () => clearInterval(timer));
+    });
+
+    this.app.delete('/admin/streams/:streamId', requireAdmin, (req, res) => {
+      if (!this.streamer.stopStream(req.params.streamId)) {
+        return res.status(404).json({ error: 'Stream not found' });
+      }
+      res.json({ message: 'Stream stopped' });
+    });
+
+    this.app.delete('/admin/torrents/:torrentId', requireAdmin, async (req, res) => {
       try {
-        console.log('Manual refresh triggered...');
-        await this.updateContent();
-        res.json({ message: 'Content refreshed successfully' });
+        if (!await this.streamer.stopTorrent(req.params.torrentId.toLowerCase())) {
+          return res.status(404).json({ error: 'Torrent not found' });
+        }
+        res.json({ message: 'Torrent stopped' });
       } catch (error) {
-        console.error('Refresh error:', error);
-        res.status(500).json({ error: 'Failed to refresh content' });
+        console.error('Error stopping torrent:', error);
+        res.status(500).json({ error: 'Failed to stop torrent' });
       }
     });
 
+    // Admin: API tokens
+    this.app.get('/admin/tokens', requireAdmin, (req, res) => {
+      res.json(this.auth.listTokens());
+    });
+
+    this.app.post('/admin/tokens', requireAdmin, (req, res) => {
+      const { name, admin, expiresInDays } = req.body || {};
+      if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+      }
+      
+      try {
+        res.status(201).json(this.auth.createToken(name, { admin, expiresInDays: parseInt(expiresInDays) || null }));
+      } catch (error) {
+        console.error('Error creating token:', error);
+        res.status(500).json({ error: 'Failed to create token' });
+      }
+    });
+
+    // Revoking a token also invalidates every stream URL signed for it
+    this.app.delete('/admin/tokens/:id', requireAdmin, (req, res) => {
+      try {
+        if (!this.auth.revokeToken(req.params.id)) {
+          return res.status(404).json({ error: 'Token not found or already revoked' });
+        }
+        res.json({ message: 'Token revoked' });
+      } catch (error) {
+        console.error('Error revoking token:', error);
+        res.status(500).json({ error: 'Failed to revoke token' });
+      }
+    });
+
+    // Refresh content manually; runs in the background, poll /jobs/:id
+    this.app.post('/refresh', requireAdmin, (req, res) => {
+      console.log('Manual refresh triggered...');
+      const { job, created } = this.startRefresh('manual');
+      
+      res.status(202).json({
+        message: created ? 'Refresh started' : 'Refresh already running',
+        jobId: job.id,
+        status: job.status,
+        url: `/jobs/${job.id}`
+      });
+    });
+
+    // Re-check library torrents against their trackers now
+    this.app.post('/health-check', requireAdmin, (req, res) => {
+      console.log('Manual torrent health check triggered...');
+      const { job, created } = this.startHealthCheck('manual');
+      
+      res.status(202).json({
+        message: created ? 'Health check started' : 'Health check already running',
+        jobId: job.id,
+        status: job.status,
+        url: `/jobs/${job.id}`
+      });
+    });
+
+    // On-demand titles: { tmdbId } or { query, year }. The movie is searched in
+    // the background and pinned in the library once a torrent turns up.
+    this.app.post('/library/requests', requireToken, async (req, res) => {
+      try {
+        const { tmdbId, query, year } = req.body || {};
+        if (!tmdbId && !query) {
+          return res.status(400).json({ error: 'tmdbId or query is required' });
+        }
+        
+        const movie = tmdbId
+          ? await this.tmdb.getMovie(tmdbId)
+          : (await this.tmdb.searchMovies(query, year))[0];
+        if (!movie) {
+          return res.status(404).json({ error: tmdbId ? `No TMDB movie with id ${tmdbId}` : `No TMDB match for "${query}"` });
+        }
+        
+        let request = this.titleRequests.findByTmdbId(movie.id);
+        if (request && request.status === 'not_found') {
+          request = this.titleRequests.reopen(request.id);
+        } else if (!request) {
+          request = this.titleRequests.create(movie, {
+            query: query || null,
+            requestedBy: req.user ? req.user.id : null
+          });
+        }
+        
+        // Already in the library: pin it, nothing to search for
+        const existing = this.movieCache.get(movie.id.toString());
+        if (request.status === 'pending' && existing && existing.torrent) {
+          existing.pinned = true;
+          this.titleRequests.markFound(request.id);
+          await this.persistMovies([existing.id]);
+        }
+        
+        // Retries are left to REQUEST_RETRY_CRON; searching again now would only repeat the last miss
+        if (request.status === 'found' || request.status === 'retrying') {
+          return res.json({ request });
+        }
+        
+        const { job } = this.startTitleRequests('request');
+        res.status(202).json({ request, jobId: job.id, url: `/library/requests/${request.id}` });
+      } catch (error) {
+        console.error('Error creating title request:', error);
+        res.status(500).json({ error: 'Failed to create title request' });
+      }
+    });
+
+    this.app.get('/library/requests', requireToken, (req, res) => {
+      const status = req.query.status;
+      res.json(this.titleRequests.list().filter(request => !status || request.status === status));
+    });
+
+    this.app.get('/library/requests/:id', requireToken, (req, res) => {
+      const request = this.titleRequests.get(req.params.id);
+      if (!request) {
+        return res.status(404).json({ error: 'Request not found' });
+      }
+      res.json(request);
+    });
+
+    // Drops the request and unpins the movie, leaving it to the retention rules
+    this.app.delete('/library/requests/:id', requireAdmin, async (req, res) => {
+      try {
+        const request = this.titleRequests.get(req.params.id);
+        if (!request) {
+          return res.status(404).json({ error: 'Request not found' });
+        }
+        
+        this.titleRequests.remove(request.id);
+        const movie = this.movieCache.get(request.tmdbId.toString());
+        if (movie && movie.pinned) {
+          delete movie.pinned;
+          movie.lastSeenAt = Date.now();
+          await this.persistMovies([movie.id]);
+        }
+        res.json({ removed: request.id });
+      } catch (error) {
+        console.error('Error removing title request:', error);
+        res.status(500).json({ error: 'Failed to remove title request' });
+      }
+    });
+
+    // Background jobs
+    this.app.get('/jobs', requireAdmin, (req, res) => {
+      res.json(this.jobs.list());
+    });
+
+    this.app.get('/jobs/:id', requireAdmin, (req, res) => {
+      const job = this.jobs.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      res.json(this.jobs.serialize(job));
+    });
+
+    this.app.post('/jobs/:id/cancel', requireAdmin, (req, res) => {
+      const job = this.jobs.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      if (!this.jobs.cancel(job.id)) {
+        return res.status(409).json({ error: `Job is already ${job.status}` });
+      }
+      res.json(this.jobs.serialize(job));
+    });
+
     // Health check
     this.app.get('/health', (req, res) => {
       res.json({ status: 'healthy', timestamp: new Date().toISOString() });
@@ -128,95 +934,769 @@ class MovieProxyServer {
   }
 
   setupScheduledTasks() {
-    // Update content every 6 hours
-    cron.schedule('0 */6 * * *', async () => {
+    // Update content every 6 hours unless REFRESH_CRON says otherwise
+    let schedule = process.env.REFRESH_CRON || '0 */6 * * *';
+    if (!cron.validate(schedule)) {
+      console.error(`Invalid REFRESH_CRON "${schedule}", using every 6 hours`);
+      schedule = '0 */6 * * *';
+    }
+
+    cron.schedule(schedule, () => {
       console.log('Scheduled content update starting...');
-      try {
-        await this.updateContent();
-        console.log('Scheduled content update completed');
-      } catch (error) {
-        console.error('Scheduled update failed:', error);
-      }
+      this.startRefresh('cron');
+    });
+
+    // Tracker scrape of library torrents, every 3 hours by default
+    this.scheduleOptional('HEALTH_CHECK_CRON', '30 */3 * * *', 'torrent health checks', () => {
+      console.log('Scheduled torrent health check starting...');
+      this.startHealthCheck('cron');
+    });
+
+    // Another search for title requests that found nothing yet
+    this.scheduleOptional('REQUEST_RETRY_CRON', '45 */6 * * *', 'title request retries', () => {
+      console.log('Scheduled title request retry starting...');
+      this.startTitleRequests('cron');
     });
   }
 
+  // Schedules that can be switched off with "off"; an invalid one disables the task
+  scheduleOptional(envName, defaultSchedule, description, task) {
+    const schedule = process.env[envName] || defaultSchedule;
+    if (schedule === 'off') return;
+    if (!cron.validate(schedule)) {
+      console.error(`Invalid ${envName} "${schedule}", ${description} disabled`);
+      return;
+    }
+
+    cron.schedule(schedule, task);
+  }
+
+  // Single-flight: cron, /refresh and stale playlist requests share one running job
+  startRefresh(trigger) {
+    return this.jobs.start('refresh', job => this.updateContent(job), trigger);
+  }
+
+  startHealthCheck(trigger) {
+    return this.jobs.start('health', job => this.checkLibraryHealth(job), trigger);
+  }
+
+  // A request made while a run is saving its results is picked up by a
+  // follow-up run, unless the run was cancelled
+  startTitleRequests(trigger) {
+    const started = this.jobs.start('requests', job => this.processTitleRequests(job), trigger);
+    if (!started.created) {
+      started.job.promise.then(job => {
+        if (job.status !== 'cancelled' && this.titleRequests.getDue(false).length > 0) {
+          this.startTitleRequests(trigger);
+        }
+      });
+    }
+    return started;
+  }
+
+  loadLibrary() {
+    try {
+      const library = this.libraryStore.load();
+      this.movieCache = library.movies;
+      this.torrentCache = library.torrents;
+      this.seriesCache = library.series;
+      // Playlists stored before URLs were resolved per request are rebuilt
+      this.playlistCache = library.playlist && library.playlist.includes(this.m3uGenerator.serverUrl)
+        ? library.playlist
+        : null;
+      this.playlistIds = library.playlistIds;
+      this.playlistSeriesIds = library.playlistSeriesIds;
+      this.catalogIds = library.catalogs;
+      this.lastUpdate = library.lastUpdate;
+      
+      this.movieCache.forEach(movie => this.tmdb.primeDetailsCache(movie));
+    } catch (error) {
+      console.error('Failed to load library store, starting empty:', error.message);
+    }
+  }
+
+  isLibraryFresh() {
+    if (!this.playlistCache || !this.lastUpdate) return false;
+    const hoursSinceUpdate = (Date.now() - this.lastUpdate) / (1000 * 60 * 60);
+    return hoursSinceUpdate < (parseInt(process.env.CACHE_DURATION_HOURS) || 24);
+  }
+
   async generatePlaylist() {
     // Return cached playlist if recent
-    if (this.playlistCache && this.lastUpdate) {
-      const hoursSinceUpdate = (Date.now() - this.lastUpdate) / (1000 * 60 * 60);
-      if (hoursSinceUpdate < (parseInt(process.env.CACHE_DURATION_HOURS) || 24)) {
-        console.log('Returning cached playlist');
-        return this.playlistCache;
-      }
+    if (this.isLibraryFresh()) {
+      console.log('Returning cached playlist');
+      return this.playlistCache;
     }
 
-    // Generate new playlist
-    await this.updateContent();
+    // Generate new playlist, or wait for the refresh already running
+    const { job } = this.startRefresh('playlist');
+    await job.promise;
+    if (!this.playlistCache) {
+      throw new Error(job.error || `Refresh ${job.status}`);
+    }
     return this.playlistCache;
   }
 
-  async updateContent() {
+  // Movies and series in the order of the last playlist build. Channel numbers
+  // are positions in these lists, so variant playlists and the EPG use them.
+  // Libraries stored before series order was kept fall back to cache order.
+  getPlaylistContent() {
+    const series = this.playlistSeriesIds.length > 0
+      ? this.playlistSeriesIds.map(id => this.seriesCache.get(id.toString())).filter(Boolean)
+      : Array.from(this.seriesCache.values());
+    
+    return {
+      movies: this.playlistIds.map(id => this.movieCache.get(id.toString())).filter(Boolean),
+      series
+    };
+  }
+
+  // Movie id -> the tvg-chno the full playlist and the EPG give it
+  getChannelNumbers() {
+    return new Map(this.getPlaylistContent().movies.map((movie, index) => [movie.id.toString(), 1000 + index]));
+  }
+
+  // Playlist for a quality profile and/or HLS stream URLs. Series are only
+  // included for the default profile since they are not searched per profile.
+  // Titles without a variant keep their slot so tvg-chno matches the EPG.
+  async generateVariantPlaylist(profile, format) {
+    await this.generatePlaylist();
+    
+    const cacheKey = `${profile}:${format}`;
+    if (!this.variantPlaylists.has(cacheKey)) {
+      const content = this.getPlaylistContent();
+      const movies = content.movies.map(movie => this.getProfileMovie(movie, profile));
+      const series = profile === 'default' ? content.series : [];
+      
+      const playlist = await this.m3uGenerator.buildM3UContent(movies, series, {
+        profile: profile === 'default' ? null : profile,
+        hls: format === 'hls'
+      });
+      this.variantPlaylists.set(cacheKey, playlist);
+    }
+    
+    return this.variantPlaylists.get(cacheKey);
+  }
+
+  // One catalog as its own playlist, grouped under the catalog name
+  async generateCatalogPlaylist(catalog, profile, format) {
+    await this.generatePlaylist();
+    
+    const cacheKey = `catalog:${catalog.id}:${profile}:${format}`;
+    if (!this.variantPlaylists.has(cacheKey)) {
+      const playlist = await this.m3uGenerator.buildM3UContent(this.getCatalogMovies(catalog.id, profile), [], {
+        profile: profile === 'default' ? null : profile,
+        hls: format === 'hls',
+        group: catalog.name,
+        channels: this.getChannelNumbers()
+      });
+      this.variantPlaylists.set(cacheKey, playlist);
+    }
+    
+    return this.variantPlaylists.get(cacheKey);
+  }
+
+  // Incremental: titles already in the library keep their torrent until it is
+  // older than TORRENT_RECHECK_HOURS, titles that leave the popular lists stay
+  // until the retention rules drop them, and the playlist covers the whole library
+  async updateContent(job) {
     try {
       console.log('Updating content library...');
+      job.stage = 'fetching';
+      const now = Date.now();
       
-      // Fetch popular movies and TV shows
-      const [movies, tvShows] = await Promise.all([
-        this.tmdb.getPopularMovies(1),
-        this.tmdb.getPopularMovies(2),
-        // this.tmdb.getTVSeries(1) // Uncomment when TV series support is needed
+      // Fetch every catalog and popular TV shows
+      const [catalogMovies, series] = await Promise.all([
+        Promise.all(this.catalogs.map(catalog => this.tmdb.getCatalogMovies(catalog))),
+        this.tmdb.getTVSeries(1)
       ]);
 
-      const allContent = [...movies, ...tvShows];
-      console.log(`Found ${allContent.length} items from TMDB`);
-
-      // Find torrents for each item
-      const contentWithTorrents = [];
-      for (let i = 0; i < Math.min(allContent.length, 100); i++) {
-        const item = allContent[i];
-        console.log(`Finding torrent for: ${item.title} (${item.year})`);
-        
-        try {
-          const torrent = await this.torrentScanner.findBestTorrent(item.title, item.year);
-          if (torrent) {
-            item.torrent = torrent;
-            contentWithTorrents.push(item);
-            this.movieCache.set(item.id.toString(), item);
-            console.log(`✓ Found torrent for ${item.title}: ${torrent.seeders} seeders`);
-          } else {
-            console.log(`✗ No suitable torrent found for ${item.title}`);
+      // A movie in several catalogs is looked up once, at its first position
+      const catalogIds = {};
+      const unique = new Map();
+      this.catalogs.forEach((catalog, index) => {
+        catalogIds[catalog.id] = catalogMovies[index].map(movie => movie.id);
+        catalogMovies[index].forEach(movie => {
+          if (!unique.has(movie.id)) {
+            unique.set(movie.id, movie);
           }
-        } catch (error) {
-          console.error(`Error finding torrent for ${item.title}:`, error.message);
-        }
+        });
+      });
+      console.log(`Found ${unique.size} movies in ${this.catalogs.length} catalogs from TMDB`);
+
+      // Merge runtime, director, cast etc. so playlists can carry them
+      job.stage = 'enriching';
+      const allContent = await this.tmdb.enrichMovies(Array.from(unique.values()));
+      console.log(`Enriched ${allContent.length} items with TMDB details`);
+
+      const seriesList = series.slice(0, parseInt(process.env.MAX_SERIES) || 10);
+      job.progress.total = allContent.length + seriesList.length;
 
+      // Find torrents for new or stale titles, a few lookups at a time
+      job.stage = 'movies';
+      const concurrency = parseInt(process.env.REFRESH_CONCURRENCY) || 3;
+      const results = await mapWithConcurrency(allContent, concurrency, async item => {
+        if (job.cancelRequested) return null;
+        
+        item.lastSeenAt = now;
+        const existing = this.movieCache.get(item.id.toString());
+        if (existing && existing.torrent && !this.needsTorrentCheck(existing, now)) {
+          job.progress.skipped++;
+          job.progress.done++;
+          return this.mergeLibraryItem(existing, item);
+        }
+        
+        const found = await this.findMovieTorrents(item, job);
+        job.progress.done++;
+        
         // Add delay to avoid overwhelming torrent sites
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        await this.sleep(1000);
+        return found;
+      });
+      const contentWithTorrents = results.filter(Boolean);
+
+      console.log(`Library has torrents for ${contentWithTorrents.length} current titles (${job.progress.skipped} reused)`);
+
+      job.stage = 'series';
+      const seriesWithTorrents = await this.updateSeries(seriesList, job, now);
+      console.log(`Library has torrents for ${seriesWithTorrents.length} current series`);
+
+      // Keep what was found so far, but leave the playlist as it was
+      if (job.cancelRequested) {
+        await this.libraryStore.save({
+          movies: this.movieCache,
+          changed: contentWithTorrents.map(item => item.id),
+          series: this.seriesCache,
+          changedSeries: seriesWithTorrents.map(item => item.id),
+          lastUpdate: this.lastUpdate,
+          playlist: this.playlistCache,
+          playlistIds: this.playlistIds,
+          playlistSeriesIds: this.playlistSeriesIds,
+          catalogs: this.catalogIds
+        });
+        console.log('Content update cancelled');
+        return;
       }
 
-      console.log(`Successfully found torrents for ${contentWithTorrents.length} items`);
+      job.stage = 'retention';
+      const removed = this.applyRetention(this.movieCache, parseInt(process.env.LIBRARY_MAX_MOVIES) || 300, now);
+      const removedSeries = this.applyRetention(this.seriesCache, parseInt(process.env.LIBRARY_MAX_SERIES) || 50, now);
+      removed.forEach(id => this.torrentCache.delete(id));
+      if (removed.length > 0 || removedSeries.length > 0) {
+        console.log(`Retention removed ${removed.length} movies and ${removedSeries.length} series`);
+      }
 
-      // Generate M3U playlist
-      this.playlistCache = await this.m3uGenerator.buildM3UContent(contentWithTorrents);
+      // Generate M3U playlist: current titles in TMDB order, then the rest of the library
+      job.stage = 'playlist';
+      this.catalogIds = catalogIds;
+      const { libraryMovies, librarySeries } = await this.buildLibraryPlaylist(contentWithTorrents, seriesWithTorrents);
       this.lastUpdate = Date.now();
 
-      console.log('Content update completed successfully');
+      await this.libraryStore.save({
+        movies: this.movieCache,
+        changed: contentWithTorrents.map(item => item.id),
+        removed,
+        series: this.seriesCache,
+        changedSeries: seriesWithTorrents.map(item => item.id),
+        removedSeries,
+        lastUpdate: this.lastUpdate,
+        playlist: this.playlistCache,
+        playlistIds: this.playlistIds,
+        playlistSeriesIds: this.playlistSeriesIds,
+        catalogs: this.catalogIds
+      });
+
+      job.stage = null;
+      console.log(`Content update completed: ${libraryMovies.length} movies and ${librarySeries.length} series in library`);
     } catch (error) {
       console.error('Error updating content:', error);
       throw error;
     }
   }
 
+  needsTorrentCheck(item, now) {
+    const ttl = (parseInt(process.env.TORRENT_RECHECK_HOURS) || 72) * 60 * 60 * 1000;
+    return now - (item.torrentCheckedAt || 0) >= ttl;
+  }
+
+  // Fresh TMDB fields over the stored item, keeping what the library found itself
+  mergeLibraryItem(existing, item) {
+    const merged = { ...existing, ...item };
+    ['torrent', 'torrents', 'subtitles', 'seasons', 'addedAt', 'torrentCheckedAt', 'pinned'].forEach(key => {
+      if (existing[key] !== undefined) {
+        merged[key] = existing[key];
+      }
+    });
+    
+    const cache = merged.seasons ? this.seriesCache : this.movieCache;
+    cache.set(merged.id.toString(), merged);
+    return merged;
+  }
+
+  // Drops items not seen in any list for LIBRARY_RETENTION_DAYS, then the least
+  // recently seen ones beyond maxItems. Pinned (requested) items are exempt
+  // and do not count towards maxItems. Returns the removed ids.
+  applyRetention(cache, maxItems, now) {
+    const retention = (parseInt(process.env.LIBRARY_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+    const lastSeen = item => item.lastSeenAt || item.addedAt || 0;
+    const removed = [];
+    
+    const kept = Array.from(cache.entries())
+      .filter(([, item]) => !item.pinned)
+      .filter(([id, item]) => {
+        if (now - lastSeen(item) <= retention) return true;
+        removed.push(id);
+        return false;
+      })
+      .sort(([, a], [, b]) => lastSeen(b) - lastSeen(a) || (b.popularity || 0) - (a.popularity || 0));
+    
+    kept.slice(maxItems).forEach(([id]) => removed.push(id));
+    removed.forEach(id => cache.delete(id));
+    return removed;
+  }
+
+  async buildLibraryPlaylist(currentMovies, currentSeries) {
+    const libraryMovies = this.orderLibrary(this.movieCache, currentMovies);
+    const librarySeries = this.orderLibrary(this.seriesCache, currentSeries);
+    
+    this.playlistCache = await this.m3uGenerator.buildM3UContent(libraryMovies, librarySeries);
+    this.playlistIds = libraryMovies.map(item => item.id);
+    this.playlistSeriesIds = librarySeries.map(item => item.id);
+    this.variantPlaylists.clear();
+    
+    return { libraryMovies, librarySeries };
+  }
+
+  // Items from this run first, in their list order, then the retained library.
+  // Movies whose torrent failed its last health check are demoted to the end.
+  orderLibrary(cache, current) {
+    const currentIds = new Set(current.map(item => item.id.toString()));
+    const retained = Array.from(cache.values())
+      .filter(item => !currentIds.has(item.id.toString()))
+      .sort((a, b) => (b.lastSeenAt || b.addedAt || 0) - (a.lastSeenAt || a.addedAt || 0)
+        || (b.popularity || 0) - (a.popularity || 0));
+    const ordered = [...current, ...retained];
+    
+    return [
+      ...ordered.filter(item => !this.healthChecker.isDead(item.torrent)),
+      ...ordered.filter(item => this.healthChecker.isDead(item.torrent))
+    ];
+  }
+
+  // Refresh rewrites library items, so jobs that change them let a running one finish first
+  async waitForRefresh(job) {
+    const refresh = this.jobs.running.get('refresh');
+    if (refresh) {
+      job.stage = 'waiting';
+      await refresh.promise;
+    }
+  }
+
+  // Scrapes every library torrent's trackers. Dead movie torrents are replaced
+  // by a fresh search when a live one turns up, otherwise demoted and left for
+  // the next refresh to look up again.
+  async checkLibraryHealth(job) {
+    await this.waitForRefresh(job);
+
+    const movies = Array.from(this.movieCache.values()).filter(movie => movie.torrent);
+    const series = Array.from(this.seriesCache.values());
+    job.progress.total = movies.length + series.length;
+    const changed = [];
+
+    job.stage = 'movies';
+    const concurrency = parseInt(process.env.HEALTH_CONCURRENCY) || 4;
+    await mapWithConcurrency(movies, concurrency, async movie => {
+      if (job.cancelRequested) return;
+      
+      try {
+        await this.healthChecker.checkAll([movie.torrent, ...Object.values(movie.torrents || {})]);
+        if (this.healthChecker.isDead(movie.torrent)) {
+          await this.replaceDeadTorrent(movie, job);
+        } else {
+          job.progress.skipped++;
+        }
+        changed.push(movie.id);
+      } catch (error) {
+        job.progress.failed++;
+        console.error(`Health check failed for ${movie.title}:`, error.message);
+      }
+      job.progress.done++;
+    });
+
+    job.stage = 'series';
+    const changedSeries = [];
+    for (const show of series) {
+      if (job.cancelRequested) break;
+      
+      try {
+        const torrents = show.seasons.flatMap(season => [season.torrent, ...season.episodes.map(episode => episode.torrent)]);
+        await this.healthChecker.checkAll(torrents);
+        changedSeries.push(show.id);
+      } catch (error) {
+        job.progress.failed++;
+        console.error(`Health check failed for ${show.title}:`, error.message);
+      }
+      job.progress.done++;
+    }
+
+    // Seeder counts and demotions change the playlist; keep the current order otherwise
+    job.stage = 'playlist';
+    const currentMovies = this.playlistIds.map(id => this.movieCache.get(id.toString())).filter(Boolean);
+    await this.buildLibraryPlaylist(currentMovies, []);
+
+    await this.libraryStore.save({
+      movies: this.movieCache,
+      changed,
+      series: this.seriesCache,
+      changedSeries,
+      lastUpdate: this.lastUpdate,
+      playlist: this.playlistCache,
+      playlistIds: this.playlistIds,
+      playlistSeriesIds: this.playlistSeriesIds,
+      catalogs: this.catalogIds
+    });
+
+    job.stage = null;
+    console.log(`Health check finished: ${job.progress.found} replaced, ${movies.filter(movie => this.healthChecker.isDead(movie.torrent)).length} dead`);
+  }
+
+  // Searches torrents for pending requests, and for the ones waiting on a retry
+  // when run on schedule. Found movies are pinned, so retention never drops them.
+  async processTitleRequests(job) {
+    await this.waitForRefresh(job);
+
+    job.stage = 'searching';
+    const includeRetries = job.trigger !== 'request';
+    const attempted = new Set();
+    const changed = [];
+    
+    // Requests made while this runs are handled too
+    const nextRequest = () => this.titleRequests.getDue(includeRetries).find(request => !attempted.has(request.id));
+    let request;
+    while (!job.cancelRequested && (request = nextRequest())) {
+      attempted.add(request.id);
+      job.progress.total = attempted.size + this.titleRequests.getDue(includeRetries).length - 1;
+      
+      const [item] = await this.tmdb.enrichMovies([{ ...request.movie }]);
+      const found = await this.findMovieTorrents(item, job);
+      job.progress.done++;
+      
+      if (found) {
+        found.pinned = true;
+        found.lastSeenAt = Date.now();
+        this.titleRequests.markFound(request.id);
+        changed.push(found.id);
+      } else {
+        this.titleRequests.markFailed(request.id, 'No suitable torrent found');
+      }
+      
+      await this.sleep(1000);
+    }
+
+    if (changed.length === 0) {
+      job.stage = null;
+      return;
+    }
+
+    // Requested titles join the end of the playlist
+    job.stage = 'playlist';
+    const currentMovies = this.playlistIds.map(id => this.movieCache.get(id.toString())).filter(Boolean);
+    await this.buildLibraryPlaylist(currentMovies, []);
+
+    await this.persistMovies(changed);
+
+    job.stage = null;
+    console.log(`Title requests: ${changed.length} of ${attempted.size} found`);
+  }
+
+  async replaceDeadTorrent(movie, job) {
+    console.log(`✗ Torrent for ${movie.title} is dead, searching for a replacement`);
+    const deadMagnet = movie.torrent.magnetLink;
+
+    const variants = await this.torrentScanner.findBestTorrentsByProfile(movie.title, movie.year, 'movie', {
+      originalTitle: movie.originalTitle
+    });
+    const candidate = variants.default;
+
+    let replacement = null;
+    if (candidate && candidate.magnetLink !== deadMagnet) {
+      await this.healthChecker.checkAll(Object.values(variants));
+      if (!this.healthChecker.isDead(candidate)) {
+        replacement = candidate;
+      }
+    }
+
+    // A refresh started during the search may have put a new library item
+    // in the cache, or already given it another torrent
+    const current = this.movieCache.get(movie.id.toString());
+    if (!current || !current.torrent || current.torrent.magnetLink !== deadMagnet) {
+      console.log(`Library entry for ${movie.title} changed during the health check, leaving it as is`);
+      return false;
+    }
+
+    if (replacement) {
+      current.torrent = replacement;
+      current.torrents = variants;
+      current.torrentCheckedAt = Date.now();
+      delete current.subtitles;
+      this.torrentCache.set(current.id.toString(), replacement);
+      job.progress.found++;
+      console.log(`✓ Replaced torrent for ${movie.title}: ${replacement.seeders} seeders`);
+      return true;
+    }
+
+    // Demoted in the playlist; the next refresh searches again
+    current.torrentCheckedAt = 0;
+    console.log(`✗ No live replacement for ${movie.title}, demoting`);
+    return false;
+  }
+
+  // Looks up every profile's torrent for a movie; returns the library item, or
+  // null when nothing was found and the title is not in the library yet
+  async findMovieTorrents(item, job) {
+    console.log(`Finding torrent for: ${item.title} (${item.year})`);
+    const existing = this.movieCache.get(item.id.toString());
+    
+    try {
+      const variants = await this.torrentScanner.findBestTorrentsByProfile(item.title, item.year, 'movie', {
+        originalTitle: item.originalTitle
+      });
+      const torrent = variants.default;
+      if (!torrent) {
+        console.log(`✗ No suitable torrent found for ${item.title}`);
+        // A stored torrent beats none; health checks decide whether it still works
+        return existing && existing.torrent
+          ? this.mergeLibraryItem({ ...existing, torrentCheckedAt: Date.now() }, item)
+          : null;
+      }
+
+      item.torrent = torrent;
+      item.torrents = variants;
+      item.torrentCheckedAt = Date.now();
+      item.addedAt = existing && existing.addedAt ? existing.addedAt : Date.now();
+      if (existing && existing.pinned) {
+        item.pinned = true;
+      }
+      if (existing && existing.torrent && existing.torrent.magnetLink === torrent.magnetLink) {
+        item.subtitles = existing.subtitles;
+      }
+      this.movieCache.set(item.id.toString(), item);
+      this.torrentCache.set(item.id.toString(), torrent);
+      job.progress.found++;
+      console.log(`✓ Found torrent for ${item.title}: ${torrent.seeders} seeders`);
+      return item;
+    } catch (error) {
+      job.progress.failed++;
+      console.error(`Error finding torrent for ${item.title}:`, error.message);
+      return existing && existing.torrent ? this.mergeLibraryItem(existing, item) : null;
+    }
+  }
+
+  // Series get the same treatment as movies: stored seasons are reused until
+  // they are older than TORRENT_RECHECK_HOURS
+  async updateSeries(seriesList, job, now) {
+    const seasonsPerSeries = parseInt(process.env.SERIES_SEASONS) || 1;
+    const today = new Date().toISOString().substring(0, 10);
+    const seriesWithTorrents = [];
+
+    for (const show of seriesList) {
+      if (job.cancelRequested) break;
+      
+      show.lastSeenAt = now;
+      const existing = this.seriesCache.get(show.id.toString());
+      if (existing && !this.needsTorrentCheck(existing, now)) {
+        seriesWithTorrents.push(this.mergeLibraryItem(existing, show));
+        job.progress.skipped++;
+        job.progress.done++;
+        continue;
+      }
+      
+      console.log(`Finding torrents for series: ${show.title}`);
+      
+      try {
+        const details = await this.tmdb.getTVDetails(show.id);
+        const item = {
+          ...show,
+          creator: details.creator,
+          cast: details.cast,
+          networks: details.networks,
+          status: details.status,
+          trailer: details.trailer,
+          addedAt: existing && existing.addedAt ? existing.addedAt : now,
+          torrentCheckedAt: now,
+          seasons: []
+        };
+
+        // Most recent aired seasons first in line for torrents
+        const seasons = details.seasons
+          .filter(season => season.airDate && season.airDate <= today)
+          .slice(-seasonsPerSeries);
+
+        for (const season of seasons) {
+          const seasonEntry = await this.findSeasonTorrents(item, season);
+          if (seasonEntry) {
+            item.seasons.push(seasonEntry);
+          }
+        }
+
+        if (item.seasons.length > 0) {
+          seriesWithTorrents.push(item);
+          this.seriesCache.set(item.id.toString(), item);
+          job.progress.found++;
+          console.log(`✓ Found torrents for ${item.title}: ${item.seasons.length} season(s)`);
+        } else if (existing) {
+          seriesWithTorrents.push(this.mergeLibraryItem({ ...existing, torrentCheckedAt: now }, show));
+          console.log(`✗ No new torrents found for ${item.title}, keeping stored seasons`);
+        } else {
+          console.log(`✗ No suitable torrents found for ${item.title}`);
+        }
+      } catch (error) {
+        job.progress.failed++;
+        console.error(`Error finding torrents for ${show.title}:`, error.message);
+        if (existing) {
+          seriesWithTorrents.push(this.mergeLibraryItem(existing, show));
+        }
+      }
+      job.progress.done++;
+    }
+
+    return seriesWithTorrents;
+  }
+
+  // Prefers a season pack and falls back to searching each episode on its own
+  async findSeasonTorrents(series, season) {
+    const episodes = await this.tmdb.getTVSeasonDetails(series.id, season.seasonNumber);
+    if (episodes.length === 0) return null;
+
+    const pack = await this.torrentScanner.findBestTorrent(series.title, series.year, 'series', {
+      season: season.seasonNumber,
+      episodeCount: episodes.length
+    });
+    await this.sleep(1000);
+
+    const seasonEntry = {
+      seasonNumber: season.seasonNumber,
+      name: season.name,
+      poster: season.poster,
+      torrent: pack,
+      episodes: []
+    };
+
+    for (const episode of episodes) {
+      let torrent = null;
+      
+      if (!pack) {
+        torrent = await this.torrentScanner.findBestTorrent(series.title, series.year, 'series', {
+          season: season.seasonNumber,
+          episode: episode.episodeNumber
+        });
+        await this.sleep(1000);
+      }
+
+      if (pack || torrent) {
+        seasonEntry.episodes.push({ ...episode, torrent });
+      }
+    }
+
+    return seasonEntry.episodes.length > 0 ? seasonEntry : null;
+  }
+
+  // Records the subtitle languages found in a movie's torrent on the library item
+  async updateSubtitles(movie) {
+    const tracks = await this.streamer.getSubtitleTracks(movie.torrent);
+    const subtitles = tracks.map(({ key, language, label, forced, sdh }) => ({ key, language, label, forced, sdh }));
+    
+    if (JSON.stringify(subtitles) !== JSON.stringify(movie.subtitles)) {
+      movie.subtitles = subtitles;
+      console.log(`Found ${subtitles.length} subtitle track(s) for ${movie.title}`);
+      await this.persistMovies([movie.id]);
+    }
+    
+    return tracks;
+  }
+
+  // Puts the candidate that streamed first and the rest in order of failures,
+  // keeping score order among equals. Returns the new primary with its fallbacks.
+  rerankCandidates(current, result) {
+    const working = result.torrent ? result.torrent.magnetLink : null;
+    const ranked = [current, ...(current.fallbacks || [])]
+      .map(({ fallbacks, ...candidate }) => candidate)
+      .sort((a, b) => (b.magnetLink === working) - (a.magnetLink === working)
+        || (a.failures || 0) - (b.failures || 0));
+    
+    return { ...ranked[0], fallbacks: ranked.slice(1) };
+  }
+
+  recordMovieFailover(movie, profile, current, result) {
+    if (!result || result.failed.length === 0) return;
+    
+    const promoted = this.rerankCandidates(current, result);
+    if (promoted.magnetLink !== current.magnetLink) {
+      console.log(`Promoted fallback torrent for ${movie.title} (${profile}): ${promoted.title}`);
+    }
+    
+    if (profile === 'default') {
+      if (promoted.magnetLink !== movie.torrent.magnetLink) {
+        delete movie.subtitles;
+      }
+      movie.torrent = promoted;
+      this.torrentCache.set(movie.id.toString(), promoted);
+    }
+    if (movie.torrents) {
+      movie.torrents[profile] = promoted;
+    }
+    
+    this.persistMovies([movie.id]).catch(error => {
+      console.error(`Error saving failover for ${movie.title}:`, error.message);
+    });
+  }
+
+  persistSeries(ids) {
+    return this.libraryStore.save({
+      movies: this.movieCache,
+      series: this.seriesCache,
+      changedSeries: ids,
+      lastUpdate: this.lastUpdate,
+      playlist: this.playlistCache,
+      playlistIds: this.playlistIds,
+      playlistSeriesIds: this.playlistSeriesIds,
+      catalogs: this.catalogIds
+    });
+  }
+
+  persistMovies(ids) {
+    return this.libraryStore.save({
+      movies: this.movieCache,
+      changed: ids,
+      series: this.seriesCache,
+      lastUpdate: this.lastUpdate,
+      playlist: this.playlistCache,
+      playlistIds: this.playlistIds,
+      playlistSeriesIds: this.playlistSeriesIds,
+      catalogs: this.catalogIds
+    });
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
   start() {
     this.app.listen(this.port, () => {
+      const baseUrl = this.publicUrl || `http://localhost:${this.port}${this.basePath}`;
       console.log(`🚀 Movie Proxy Server running on port ${this.port}`);
-      console.log(`📺 Playlist URL: http://localhost:${this.port}/playlist.m3u`);
-      console.log(`🔧 Status URL: http://localhost:${this.port}/status`);
-      console.log(`🏥 Health Check: http://localhost:${this.port}/health`);
+      console.log(`📺 Playlist URL: ${baseUrl}/playlist.m3u`);
+      console.log(`🗓️  EPG URL: ${baseUrl}/epg.xml`);
+      console.log(`🔧 Status URL: ${baseUrl}/status`);
+      console.log(`🏥 Health Check: ${baseUrl}/health`);
       
-      // Initial content load
-      this.updateContent().catch(error => {
-        console.error('Initial content load failed:', error);
-      });
+      // Initial content load, skipped when the stored library is still fresh
+      if (this.isLibraryFresh()) {
+        console.log(`📚 Serving ${this.movieCache.size} movies from library store`);
+        return;
+      }
+
+      this.startRefresh('startup');
     });
   }
 }
@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Paths whose URLs get signed in playlists. HLS URLs are signed for their
+// directory, so the segments a player resolves relative to index.m3u8 pass too.
+const SIGNED_PATHS = /^\/(stream|hls|subtitles)\/|^\/epg\.xml$/;
+
+// API tokens and signed stream URLs. Authentication is enabled once ADMIN_TOKEN
+// is set (or AUTH_ENABLED=true, which then requires ADMIN_TOKEN so tokens can
+// be created at all); without it every route stays open.
+//
+// Tokens look like "<id>.<secret>" and are passed as ?token= (IPTV clients
+// cannot send headers) or as a Bearer token. Only a hash of the secret is
+// stored. Playlists carry per-user stream URLs signed with an HMAC that
+// expires, so a leaked playlist stops working, and revoking the token kills
+// every URL signed for it.
+class AuthManager {
+  constructor(filePath = process.env.AUTH_TOKENS_PATH || './data/tokens.json') {
+    this.filePath = path.resolve(filePath);
+    this.adminToken = process.env.ADMIN_TOKEN || null;
+    this.enabled = !!this.adminToken || process.env.AUTH_ENABLED === 'true';
+    this.urlTTL = (parseInt(process.env.STREAM_URL_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    this.tokens = new Map();
+    this.secret = process.env.STREAM_URL_SECRET || null;
+    this.saveTimer = null;
+
+    if (this.enabled && !this.adminToken) {
+      throw new Error('AUTH_ENABLED=true requires ADMIN_TOKEN, otherwise no token could ever be created');
+    }
+
+    this.load();
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        (data.tokens || []).forEach(token => this.tokens.set(token.id, token));
+        this.secret = this.secret || data.secret;
+      } catch (error) {
+        console.error('Failed to load auth tokens:', error.message);
+      }
+    }
+
+    // Generated once and kept with the tokens so signed URLs survive restarts.
+    // Without auth nothing is signed, so there is nothing to keep either.
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      if (this.enabled) {
+        this.save();
+      }
+    }
+  }
+
+  save() {
+    const data = {
+      secret: process.env.STREAM_URL_SECRET ? undefined : this.secret,
+      tokens: Array.from(this.tokens.values())
+    };
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  // lastUsedAt changes on every request, so those writes are batched
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        this.save();
+      } catch (error) {
+        console.error('Failed to save auth tokens:', error.message);
+      }
+    }, 60 * 1000);
+    this.saveTimer.unref();
+  }
+
+  // Returns the plain token once; it cannot be recovered later
+  createToken(name, { admin = false, expiresInDays = null } = {}) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const record = {
+      id,
+      name,
+      admin: !!admin,
+      hash: this.hash(secret),
+      createdAt: Date.now(),
+      expiresAt: expiresInDays ? Date.now() + expiresInDays * 24 * 60 * 60 * 1000 : null,
+      revokedAt: null,
+      lastUsedAt: null
+    };
+
+    this.tokens.set(id, record);
+    this.save();
+    console.log(`Created ${admin ? 'admin ' : ''}token ${id} for ${name}`);
+
+    return { token: `${id}.${secret}`, ...this.describe(record) };
+  }
+
+  revokeToken(id) {
+    const record = this.tokens.get(id);
+    if (!record || record.revokedAt) return false;
+
+    record.revokedAt = Date.now();
+    this.save();
+    console.log(`Revoked token ${id} (${record.name})`);
+    return true;
+  }
+
+  listTokens() {
+    return Array.from(this.tokens.values()).map(record => this.describe(record));
+  }
+
+  describe({ hash, ...record }) {
+    return { ...record, active: this.isActive(record) };
+  }
+
+  hash(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  isActive(record) {
+    return !!record && !record.revokedAt && (!record.expiresAt || record.expiresAt > Date.now());
+  }
+
+  // The user behind a plain token, or null. Repeated query parameters
+  // (?token=a&token=b) arrive as arrays and are rejected.
+  verifyToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    if (this.adminToken && this.safeEqual(token, this.adminToken)) {
+      return { id: 'admin', name: 'admin', admin: true };
+    }
+
+    const [id, secret] = token.split('.');
+    const record = this.tokens.get(id);
+    if (!secret || !this.isActive(record) || !this.safeEqual(this.hash(secret), record.hash)) {
+      return null;
+    }
+
+    record.lastUsedAt = Date.now();
+    this.scheduleSave();
+    return { id: record.id, name: record.name, admin: record.admin };
+  }
+
+  // The user a token id in a signed URL belongs to, if it is still valid
+  getUser(id) {
+    if (id === 'admin') {
+      return this.adminToken ? { id: 'admin', name: 'admin', admin: true } : null;
+    }
+
+    const record = this.tokens.get(id);
+    return this.isActive(record) ? { id: record.id, name: record.name, admin: record.admin } : null;
+  }
+
+  getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.substring(7) : req.query.token;
+  }
+
+  safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+
+  sign(userId, scope, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${userId}:${scope}:${expires}`).digest('hex');
+  }
+
+  // Query string granting userId access to urlPath until the URL expires
+  signPath(userId, urlPath, expires = Date.now() + this.urlTTL) {
+    const scope = urlPath.startsWith('/hls/') ? path.posix.dirname(urlPath) + '/' : urlPath;
+    const exp = Math.floor(expires / 1000);
+    return `u=${encodeURIComponent(userId)}&exp=${exp}&sig=${this.sign(userId, scope, exp)}`;
+  }
+
+  // Appends a signature to a stream, HLS, subtitle or EPG URL; other URLs are
+  // returned unchanged. basePath is the prefix a reverse proxy serves the app
+  // under; requests arrive without it, so it is not part of the signed path.
+  signUrl(value, userId, basePath = '', expires = Date.now() + this.urlTTL) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return value;
+    }
+    if (!url.pathname.startsWith(basePath)) return value;
+
+    const urlPath = url.pathname.substring(basePath.length);
+    if (!SIGNED_PATHS.test(urlPath)) return value;
+
+    const separator = url.search ? '&' : '?';
+    return `${value}${separator}${this.signPath(userId, urlPath, expires)}`;
+  }
+
+  // Signs every stream, HLS, subtitle and EPG URL in a playlist
+  signPlaylist(content, userId, basePath = '') {
+    const expires = Date.now() + this.urlTTL;
+    const signUrl = value => this.signUrl(value, userId, basePath, expires);
+
+    return content
+      .split('\n')
+      .map(line => {
+        if (line.startsWith('#')) {
+          return line.replace(/url-tvg="([^"]+)"/, (match, url) => `url-tvg="${signUrl(url)}"`);
+        }
+        return /^https?:\/\//.test(line.trim()) ? signUrl(line.trim()) : line;
+      })
+      .join('\n');
+  }
+
+  // Checks ?u=&exp=&sig= against the request path, or its directory for HLS
+  verifySignedRequest(req) {
+    const { u: userId, exp, sig } = req.query;
+    if (!userId || !exp || !sig) return null;
+    if ([userId, exp, sig].some(value => typeof value !== 'string')) {
+      return { error: 'Invalid stream signature' };
+    }
+
+    if (parseInt(exp, 10) * 1000 < Date.now()) {
+      return { error: 'Stream URL has expired' };
+    }
+
+    const scopes = [req.path];
+    if (req.path.startsWith('/hls/')) {
+      scopes.push(path.posix.dirname(req.path) + '/');
+    }
+
+    const valid = scopes.some(scope => this.safeEqual(sig, this.sign(userId, scope, exp)));
+    if (!valid) {
+      return { error: 'Invalid stream signature' };
+    }
+
+    const user = this.getUser(userId);
+    return user ? { user } : { error: 'Token has been revoked' };
+  }
+
+  // Middleware: a valid token (?token= or Bearer) is required
+  requireToken() {
+    return (req, res, next) => {
+      if (!this.enabled) return next();
+
+      const user = this.verifyToken(this.getRequestToken(req));
+      if (!user) {
+        return res.status(401).json({ error: 'Valid token required' });
+      }
+      req.user = user;
+      next();
+    };
+  }
+
+  requireAdmin() {
+    return (req, res, next) => {
+      if (!this.enabled) return next();
+
+      const user = this.verifyToken(this.getRequestToken(req));
+      if (!user || !user.admin) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+      }
+      req.user = user;
+      next();
+    };
+  }
+
+  // Middleware for media routes: a signed URL or a plain token
+  requireStreamAccess() {
+    return (req, res, next) => {
+      if (!this.enabled) return next();
+
+      const signed = this.verifySignedRequest(req);
+      if (signed && signed.error) {
+        return res.status(403).json({ error: signed.error });
+      }
+      if (signed) {
+        req.user = signed.user;
+        req.streamQuery = `u=${encodeURIComponent(req.query.u)}&exp=${req.query.exp}&sig=${req.query.sig}`;
+        return next();
+      }
+
+      const user = this.verifyToken(this.getRequestToken(req));
+      if (!user) {
+        return res.status(401).json({ error: 'Signed URL or token required' });
+      }
+      req.user = user;
+      req.streamQuery = `token=${encodeURIComponent(this.getRequestToken(req))}`;
+      next();
+    };
+  }
+}
+
+module.exports = AuthManager;
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+
+const SOURCES = ['popular', 'trending', 'top_rated', 'now_playing', 'upcoming', 'discover', 'list'];
+
+// Movie lists pulled from TMDB on every refresh. Each catalog is available as
+// its own playlist (/playlist.m3u?catalog=<id>); group: true also lists it as a
+// group at the top of the main playlist. The default matches the original
+// two pages of popular movies.
+const DEFAULT_CATALOGS = [
+  {
+    id: 'popular',
+    name: 'Popular',
+    source: 'popular',
+    pages: 2,
+    limit: 100,
+    group: false
+  }
+];
+
+// The config file replaces the default list; entries with an unknown source,
+// without an id or repeating an earlier id are skipped. An unreadable file,
+// or one without a single valid catalog, falls back to the defaults.
+function loadCatalogs(configPath = process.env.CATALOGS_CONFIG || './config/catalogs.json') {
+  const resolvedPath = path.resolve(configPath);
+
+  if (!fs.existsSync(resolvedPath)) {
+    return DEFAULT_CATALOGS;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to load catalogs from ${resolvedPath}, using defaults:`, error.message);
+    return DEFAULT_CATALOGS;
+  }
+
+  if (!config || !Array.isArray(config.catalogs)) {
+    console.error(`${resolvedPath} must have a "catalogs" array, using defaults`);
+    return DEFAULT_CATALOGS;
+  }
+
+  // Ids name playlists and state records, so the first catalog with an id wins
+  const ids = new Set();
+  const catalogs = config.catalogs.filter(catalog => {
+    if (!catalog || !catalog.id || !SOURCES.includes(catalog.source)) {
+      console.warn(`Skipping catalog ${(catalog && catalog.id) || '(no id)'}: source must be one of ${SOURCES.join(', ')}`);
+      return false;
+    }
+    if (ids.has(catalog.id)) {
+      console.warn(`Skipping catalog ${catalog.id}: duplicate id`);
+      return false;
+    }
+    ids.add(catalog.id);
+    return true;
+  }).map(catalog => ({
+    name: catalog.id,
+    pages: 1,
+    limit: 20,
+    group: false,
+    ...catalog
+  }));
+
+  if (catalogs.length === 0) {
+    console.error(`No valid catalogs in ${resolvedPath}, using defaults`);
+    return DEFAULT_CATALOGS;
+  }
+
+  console.log(`Loaded catalogs: ${catalogs.map(catalog => catalog.id).join(', ')}`);
+  return catalogs;
+}
+
+module.exports = {
+  DEFAULT_CATALOGS,
+  loadCatalogs
+};
@@ -0,0 +1,21 @@
+// Runs mapper over items with at most `limit` calls in flight, keeping result order
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,210 @@
+// XMLTV guide for the movie and episode playlist. Channel ids and numbers
+// follow the same rules as M3UGenerator.buildM3UContent so clients link them
+// up, which only holds when both are built from the same movie and series lists.
+class EPGGenerator {
+  constructor(m3uGenerator) {
+    this.m3uGenerator = m3uGenerator;
+    this.guideDays = parseInt(process.env.EPG_DAYS) || 2;
+    this.defaultRuntime = 120; // minutes, used until details are known
+  }
+
+  buildXMLTV(moviesWithTorrents, seriesWithTorrents = []) {
+    // Movies without a torrent keep their channel number, as in the playlist
+    const channels = [];
+    moviesWithTorrents.forEach((movie, index) => {
+      if (!movie.torrent) return;
+      channels.push({
+        id: movie.id,
+        name: `${movie.title} (${movie.year})`,
+        number: 1000 + index,
+        icon: movie.poster,
+        runtime: movie.runtime,
+        programme: this.buildProgrammeBody(movie)
+      });
+    });
+
+    this.m3uGenerator.getSeriesEpisodes(seriesWithTorrents).forEach((entry, index) => {
+      channels.push({
+        id: entry.tvgId,
+        name: `${entry.series.title} ${entry.tag}`,
+        number: 1000 + moviesWithTorrents.length + index,
+        icon: entry.logo,
+        runtime: entry.episode.runtime,
+        programme: this.buildEpisodeBody(entry)
+      });
+    });
+
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xml += '<!DOCTYPE tv SYSTEM "xmltv.dtd">\n';
+    xml += '<tv generator-info-name="Movie Proxy Server">\n';
+
+    channels.forEach(channel => {
+      xml += this.buildChannel(channel);
+    });
+
+    const guideStart = this.getGuideStart();
+    const guideEnd = guideStart + this.guideDays * 24 * 60 * 60 * 1000;
+
+    channels.forEach(channel => {
+      xml += this.buildProgrammes(channel, guideStart, guideEnd);
+    });
+
+    xml += '</tv>\n';
+    return xml;
+  }
+
+  buildChannel(channel) {
+    let xml = `  <channel id="${this.escape(channel.id)}">\n`;
+    xml += `    <display-name>${this.escape(channel.name)}</display-name>\n`;
+    xml += `    <display-name>${channel.number}</display-name>\n`;
+    if (channel.icon) {
+      xml += `    <icon src="${this.escape(channel.icon)}" />\n`;
+    }
+    xml += '  </channel>\n';
+    return xml;
+  }
+
+  // VOD channels loop the same title for the whole guide window
+  buildProgrammes(channel, guideStart, guideEnd) {
+    const runtimeMs = (channel.runtime || this.defaultRuntime) * 60 * 1000;
+    let xml = '';
+
+    for (let start = guideStart; start < guideEnd; start += runtimeMs) {
+      const stop = start + runtimeMs;
+      xml += `  <programme start="${this.formatTime(start)}" stop="${this.formatTime(stop)}" channel="${this.escape(channel.id)}">\n`;
+      xml += channel.programme;
+      xml += '  </programme>\n';
+    }
+
+    return xml;
+  }
+
+  buildProgrammeBody(movie) {
+    let xml = `    <title lang="en">${this.escape(movie.title)}</title>\n`;
+
+    if (movie.description) {
+      xml += `    <desc lang="en">${this.escape(movie.description)}</desc>\n`;
+    }
+
+    if (movie.director || movie.cast) {
+      xml += '    <credits>\n';
+      if (movie.director) {
+        xml += `      <director>${this.escape(movie.director)}</director>\n`;
+      }
+      if (movie.cast) {
+        movie.cast.split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+          xml += `      <actor>${this.escape(name)}</actor>\n`;
+        });
+      }
+      xml += '    </credits>\n';
+    }
+
+    if (movie.year) {
+      xml += `    <date>${movie.year}</date>\n`;
+    }
+
+    this.getCategories(movie).forEach(category => {
+      xml += `    <category lang="en">${this.escape(category)}</category>\n`;
+    });
+
+    if (movie.runtime) {
+      xml += `    <length units="minutes">${movie.runtime}</length>\n`;
+    }
+
+    if (movie.poster) {
+      xml += `    <icon src="${this.escape(movie.poster)}" />\n`;
+    }
+
+    if (movie.rating) {
+      xml += '    <star-rating>\n';
+      xml += `      <value>${movie.rating.toFixed(1)}/10</value>\n`;
+      xml += '    </star-rating>\n';
+    }
+
+    return xml;
+  }
+
+  buildEpisodeBody({ series, season, episode, tag, logo }) {
+    let xml = `    <title lang="en">${this.escape(series.title)}</title>\n`;
+
+    if (episode.title) {
+      xml += `    <sub-title lang="en">${this.escape(episode.title)}</sub-title>\n`;
+    }
+
+    if (episode.description) {
+      xml += `    <desc lang="en">${this.escape(episode.description)}</desc>\n`;
+    }
+
+    if (series.cast) {
+      xml += '    <credits>\n';
+      series.cast.split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+        xml += `      <actor>${this.escape(name)}</actor>\n`;
+      });
+      xml += '    </credits>\n';
+    }
+
+    if (episode.airDate) {
+      xml += `    <date>${episode.airDate.substring(0, 4)}</date>\n`;
+    }
+
+    this.getCategories(series, 'Series').forEach(category => {
+      xml += `    <category lang="en">${this.escape(category)}</category>\n`;
+    });
+
+    if (episode.runtime) {
+      xml += `    <length units="minutes">${episode.runtime}</length>\n`;
+    }
+
+    if (logo) {
+      xml += `    <icon src="${this.escape(logo)}" />\n`;
+    }
+
+    // xmltv_ns counts from zero
+    xml += `    <episode-num system="xmltv_ns">${season.seasonNumber - 1}.${episode.episodeNumber - 1}.</episode-num>\n`;
+    xml += `    <episode-num system="onscreen">${tag}</episode-num>\n`;
+
+    const rating = episode.rating || series.rating;
+    if (rating) {
+      xml += '    <star-rating>\n';
+      xml += `      <value>${rating.toFixed(1)}/10</value>\n`;
+      xml += '    </star-rating>\n';
+    }
+
+    return xml;
+  }
+
+  getCategories(item, type = 'Movie') {
+    const categories = [type];
+    const genres = this.m3uGenerator.mapGenres(item.genreIds);
+    if (genres !== 'Unknown') {
+      categories.push(...genres.split('|').filter(genre => genre !== 'Unknown'));
+    }
+    return categories;
+  }
+
+  // Start the guide at midnight UTC so every refresh lines up the same way
+  getGuideStart() {
+    const start = new Date();
+    start.setUTCHours(0, 0, 0, 0);
+    return start.getTime();
+  }
+
+  formatTime(timestamp) {
+    const iso = new Date(timestamp).toISOString();
+    return iso.replace(/[-:T]/g, '').substring(0, 14) + ' +0000';
+  }
+
+  escape(text) {
+    if (text === null || text === undefined) return '';
+    return text.toString()
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+      // Strip control characters that are not allowed in XML 1.0
+      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+  }
+}
+
+module.exports = EPGGenerator;
@@ -0,0 +1,54 @@
+// Season/episode tags in release and file names, e.g. "Show.S01E02",
+// "Show 1x02", "Show.S01E01E02" or a season pack "Show.S01.Complete".
+const EPISODE_PATTERNS = [
+  /\bS(\d{1,2})[ ._-]?E(\d{1,3})(?:-?E(\d{1,3})|-(\d{1,3}))?\b/i,
+  /\b(\d{1,2})x(\d{2,3})\b/i
+];
+
+const SEASON_PATTERNS = [
+  /\bS(\d{1,2})\b/i,
+  /\bSeason[ ._-]?(\d{1,2})\b/i
+];
+
+function parseEpisode(name) {
+  const result = { season: null, episode: null, episodeEnd: null };
+  if (!name) return result;
+
+  for (const pattern of EPISODE_PATTERNS) {
+    const match = name.match(pattern);
+    if (match) {
+      result.season = parseInt(match[1], 10);
+      result.episode = parseInt(match[2], 10);
+      const episodeEnd = match[3] || match[4];
+      result.episodeEnd = episodeEnd ? parseInt(episodeEnd, 10) : result.episode;
+      return result;
+    }
+  }
+
+  for (const pattern of SEASON_PATTERNS) {
+    const match = name.match(pattern);
+    if (match) {
+      result.season = parseInt(match[1], 10);
+      return result;
+    }
+  }
+
+  return result;
+}
+
+// True when a parsed name covers the requested episode (multi-episode files included)
+function matchesEpisode(parsed, season, episode) {
+  if (parsed.season !== season || parsed.episode === null) return false;
+  return episode >= parsed.episode && episode <= parsed.episodeEnd;
+}
+
+function formatEpisodeTag(season, episode) {
+  const tag = `S${season.toString().padStart(2, '0')}`;
+  return episode ? `${tag}E${episode.toString().padStart(2, '0')}` : tag;
+}
+
+module.exports = {
+  parseEpisode,
+  matchesEpisode,
+  formatEpisodeTag
+};
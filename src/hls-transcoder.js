@@ -0,0 +1,351 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+// Browser- and Smart TV-friendly codecs that can be copied into fMP4 segments
+const COMPATIBLE_VIDEO_CODECS = ['h264'];
+const COMPATIBLE_AUDIO_CODECS = ['aac', 'mp3'];
+
+const SEGMENT_NAME = /^(init\.mp4|segment_\d{5}\.m4s)$/;
+
+// Turns a torrent video file into an fMP4 HLS stream with ffmpeg. The file is
+// read sequentially from the torrent and piped into ffmpeg, which writes an
+// event playlist plus segments into a per-session cache directory.
+class HLSTranscoder {
+  constructor(streamer) {
+    this.streamer = streamer;
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    this.ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+    this.cacheDir = path.resolve(process.env.HLS_CACHE_DIR || './data/hls');
+    this.segmentSeconds = parseInt(process.env.HLS_SEGMENT_SECONDS) || 6;
+    this.idleTimeout = (parseInt(process.env.HLS_IDLE_MINUTES) || 5) * 60 * 1000;
+    this.cacheMaxAge = (parseInt(process.env.HLS_CACHE_HOURS) || 24) * 60 * 60 * 1000;
+    this.sessions = new Map();
+    this.enabled = process.env.HLS_ENABLED !== 'false' && this.checkFfmpeg();
+
+    if (this.enabled) {
+      this.cleanupTimer = setInterval(() => {
+        this.cleanup().catch(error => console.error('HLS cache cleanup failed:', error.message));
+      }, 60 * 1000);
+      this.cleanupTimer.unref();
+    }
+  }
+
+  checkFfmpeg() {
+    const result = spawnSync(this.ffmpegPath, ['-version'], { stdio: 'ignore' });
+    if (result.error || result.status !== 0) {
+      console.warn('ffmpeg not available, HLS streaming disabled');
+      return false;
+    }
+    console.log('ffmpeg found, HLS streaming enabled');
+    return true;
+  }
+
+  // Returns the session directory once index.m3u8 exists
+  async getPlaylistPath(sessionKey, torrentInfo, episode = null) {
+    const session = await this.getSession(sessionKey, torrentInfo, episode);
+    const playlistPath = path.join(session.dir, 'index.m3u8');
+
+    await this.waitForFile(playlistPath, () => session.error);
+    return playlistPath;
+  }
+
+  async getSegmentPath(sessionKey, segment, torrentInfo, episode = null) {
+    if (!SEGMENT_NAME.test(segment)) {
+      throw new Error(`Invalid segment name: ${segment}`);
+    }
+
+    const session = await this.getSession(sessionKey, torrentInfo, episode);
+    const segmentPath = path.join(session.dir, segment);
+
+    // Once ffmpeg is done a missing segment will never appear
+    await this.waitForFile(segmentPath, () => {
+      if (session.error) return session.error;
+      if (session.complete && !fs.existsSync(segmentPath)) return new Error(`Segment not found: ${segment}`);
+      return null;
+    });
+    return segmentPath;
+  }
+
+  async getSession(sessionKey, torrentInfo, episode) {
+    let session = this.sessions.get(sessionKey);
+
+    // Start over after ffmpeg or the torrent failed mid-stream
+    if (session && session.error) {
+      this.stopSession(session);
+      session = null;
+    }
+
+    if (!session) {
+      session = {
+        key: sessionKey,
+        dir: path.join(this.cacheDir, sessionKey),
+        process: null,
+        readStream: null,
+        release: null,
+        complete: false,
+        error: null,
+        lastAccess: Date.now()
+      };
+      this.sessions.set(sessionKey, session);
+      session.starting = this.startSession(session, torrentInfo, episode).catch(error => {
+        session.error = error;
+        this.sessions.delete(sessionKey);
+        throw error;
+      });
+    }
+
+    session.lastAccess = Date.now();
+    this.streamer.touchTorrent(torrentInfo.magnetLink);
+    await session.starting;
+    return session;
+  }
+
+  async startSession(session, torrentInfo, episode) {
+    // A finished transcode from an earlier session can be served straight from disk
+    if (this.isCompleteOnDisk(session.dir)) {
+      console.log(`Serving cached HLS stream: ${session.key}`);
+      session.complete = true;
+      this.touch(session.dir);
+      return;
+    }
+
+    await fs.promises.rm(session.dir, { recursive: true, force: true });
+    await fs.promises.mkdir(session.dir, { recursive: true });
+
+    // ffmpeg reads the torrent outside streamingClients, so the session holds
+    // it against eviction until ffmpeg is done with it
+    const { videoFile, torrentId } = await this.streamer.getVideoFile(torrentInfo, episode);
+    session.release = this.streamer.lifecycle.hold(torrentId);
+    const codecs = await this.probe(videoFile);
+    const args = this.buildFfmpegArgs(session.dir, codecs);
+
+    console.log(`Starting HLS ${codecs.remux ? 'remux' : 'transcode'} for ${videoFile.name} (video: ${codecs.video}, audio: ${codecs.audio})`);
+
+    const ffmpeg = spawn(this.ffmpegPath, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    const readStream = videoFile.createReadStream();
+
+    session.process = ffmpeg;
+    session.readStream = readStream;
+
+    ffmpeg.stderr.on('data', data => {
+      console.error(`ffmpeg [${session.key}]: ${data.toString().trim()}`);
+    });
+
+    ffmpeg.on('close', code => {
+      session.process = null;
+      session.release();
+      if (session.error) {
+        // A failed read leaves a truncated transcode that must not be cached;
+        // once stopped, the replacing session clears the directory itself
+        if (!session.stopped) {
+          fs.promises.rm(session.dir, { recursive: true, force: true }).catch(() => {});
+        }
+      } else if (code === 0) {
+        session.complete = true;
+        console.log(`HLS stream complete: ${session.key}`);
+      } else if (!session.stopped) {
+        session.error = new Error(`ffmpeg exited with code ${code}`);
+      }
+    });
+
+    // ffmpeg closing stdin early (e.g. after an error) is not a torrent failure
+    ffmpeg.stdin.on('error', () => {});
+
+    // Ending stdin would let ffmpeg finish a short stream with #EXT-X-ENDLIST,
+    // so the transcode is killed and the session fails instead
+    readStream.on('error', error => {
+      console.error(`HLS read error [${session.key}]:`, error.message);
+      session.error = error;
+      if (session.process) {
+        session.process.kill('SIGKILL');
+      } else if (!session.stopped) {
+        fs.promises.rm(session.dir, { recursive: true, force: true }).catch(() => {});
+      }
+    });
+
+    readStream.pipe(ffmpeg.stdin);
+  }
+
+  // Reads the first few MB through ffprobe; container headers carry the codecs
+  probe(videoFile) {
+    return new Promise(resolve => {
+      const ffprobe = spawn(this.ffprobePath, [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_streams',
+        '-i', 'pipe:0'
+      ], { stdio: ['pipe', 'pipe', 'ignore'] });
+
+      const probeBytes = Math.min(videoFile.length, 16 * 1024 * 1024) - 1;
+      const readStream = videoFile.createReadStream({ start: 0, end: probeBytes });
+      let output = '';
+
+      ffprobe.stdout.on('data', data => {
+        output += data;
+      });
+
+      ffprobe.stdin.on('error', () => {});
+      readStream.on('error', () => ffprobe.stdin.end());
+      readStream.pipe(ffprobe.stdin);
+
+      ffprobe.on('close', () => {
+        readStream.destroy();
+
+        let streams = [];
+        try {
+          streams = JSON.parse(output).streams || [];
+        } catch (error) {
+          console.warn(`ffprobe failed for ${videoFile.name}, transcoding everything`);
+        }
+
+        const video = streams.find(stream => stream.codec_type === 'video');
+        const audio = streams.find(stream => stream.codec_type === 'audio');
+        const videoCodec = video ? video.codec_name : null;
+        const audioCodec = audio ? audio.codec_name : null;
+
+        resolve({
+          video: videoCodec,
+          audio: audioCodec,
+          copyVideo: COMPATIBLE_VIDEO_CODECS.includes(videoCodec),
+          copyAudio: COMPATIBLE_AUDIO_CODECS.includes(audioCodec),
+          remux: COMPATIBLE_VIDEO_CODECS.includes(videoCodec) && (!audioCodec || COMPATIBLE_AUDIO_CODECS.includes(audioCodec))
+        });
+      });
+    });
+  }
+
+  buildFfmpegArgs(dir, codecs) {
+    const videoArgs = codecs.copyVideo
+      ? ['-c:v', 'copy']
+      : ['-c:v', 'libx264', '-preset', process.env.HLS_PRESET || 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p'];
+    const audioArgs = codecs.copyAudio
+      ? ['-c:a', 'copy']
+      : ['-c:a', 'aac', '-b:a', '192k', '-ac', '2'];
+
+    return [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-i', 'pipe:0',
+      '-map', '0:v:0',
+      '-map', '0:a:0?',
+      ...videoArgs,
+      ...audioArgs,
+      '-f', 'hls',
+      '-hls_time', this.segmentSeconds.toString(),
+      '-hls_list_size', '0',
+      '-hls_playlist_type', 'event',
+      '-hls_segment_type', 'fmp4',
+      '-hls_fmp4_init_filename', 'init.mp4',
+      '-hls_flags', 'independent_segments+temp_file',
+      '-hls_segment_filename', path.join(dir, 'segment_%05d.m4s'),
+      path.join(dir, 'index.m3u8')
+    ];
+  }
+
+  // Polls until ffmpeg has written the file; players retry on slow starts anyway
+  async waitForFile(filePath, getError, timeout = 60000) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      const error = getError();
+      if (error) throw error;
+
+      if (fs.existsSync(filePath)) return;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    throw new Error(`Timed out waiting for ${path.basename(filePath)}`);
+  }
+
+  isCompleteOnDisk(dir) {
+    const playlistPath = path.join(dir, 'index.m3u8');
+    if (!fs.existsSync(playlistPath)) return false;
+    return fs.readFileSync(playlistPath, 'utf8').includes('#EXT-X-ENDLIST');
+  }
+
+  touch(dir) {
+    const now = new Date();
+    fs.promises.utimes(dir, now, now).catch(() => {});
+  }
+
+  stopSession(session) {
+    session.stopped = true;
+
+    if (session.readStream) {
+      session.readStream.destroy();
+    }
+    if (session.process) {
+      session.process.kill('SIGKILL');
+    }
+    if (session.release) {
+      session.release();
+    }
+
+    this.sessions.delete(session.key);
+  }
+
+  // Stops idle transcodes, drops their partial segments and prunes old caches
+  async cleanup() {
+    const now = Date.now();
+
+    for (const session of this.sessions.values()) {
+      if (now - session.lastAccess < this.idleTimeout) continue;
+
+      console.log(`Stopping idle HLS session: ${session.key}`);
+      this.stopSession(session);
+
+      if (session.complete) {
+        this.touch(session.dir);
+      } else {
+        await fs.promises.rm(session.dir, { recursive: true, force: true });
+      }
+    }
+
+    if (!fs.existsSync(this.cacheDir)) return;
+
+    const entries = await fs.promises.readdir(this.cacheDir);
+    for (const entry of entries) {
+      if (this.sessions.has(entry)) continue;
+
+      // A restarting session may remove its directory meanwhile
+      const dir = path.join(this.cacheDir, entry);
+      const stats = await fs.promises.stat(dir).catch(error => {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      });
+      if (stats && now - stats.mtimeMs > this.cacheMaxAge) {
+        console.log(`Removing expired HLS cache: ${entry}`);
+        await fs.promises.rm(dir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  // Adds a query string to the segment and init URIs of a media playlist
+  appendQuery(playlist, query) {
+    return playlist
+      .split('\n')
+      .map(line => {
+        if (line.startsWith('#EXT-X-MAP:')) {
+          return line.replace(/URI="([^"]+)"/, `URI="$1?${query}"`);
+        }
+        return line && !line.startsWith('#') ? `${line}?${query}` : line;
+      })
+      .join('\n');
+  }
+
+  getContentType(fileName) {
+    if (fileName.endsWith('.m3u8')) return 'application/vnd.apple.mpegurl';
+    if (fileName.endsWith('.m4s')) return 'video/iso.segment';
+    return 'video/mp4';
+  }
+
+  async destroy() {
+    clearInterval(this.cleanupTimer);
+    for (const session of this.sessions.values()) {
+      this.stopSession(session);
+    }
+  }
+}
+
+module.exports = HLSTranscoder;
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { TPBScraper, LimeTorrentsScraper, TorrentGalaxyScraper } = require('./scrapers');
+const TorznabIndexer = require('./torznab-indexer');
+const StaticFeedIndexer = require('./static-feed-indexer');
+
+const INDEXER_TYPES = {
+  thepiratebay: TPBScraper,
+  limetorrents: LimeTorrentsScraper,
+  torrentgalaxy: TorrentGalaxyScraper,
+  torznab: TorznabIndexer,
+  newznab: TorznabIndexer,
+  'static-feed': StaticFeedIndexer
+};
+
+// Used when no config file exists, matching the original hardcoded scrapers
+const DEFAULT_CONFIG = {
+  indexers: [
+    { type: 'thepiratebay' },
+    { type: 'limetorrents' },
+    { type: 'torrentgalaxy' }
+  ]
+};
+
+function loadIndexerConfig(configPath = process.env.INDEXERS_CONFIG || './config/indexers.json') {
+  const resolvedPath = path.resolve(configPath);
+
+  if (!fs.existsSync(resolvedPath)) {
+    console.log(`No indexer config at ${resolvedPath}, using default scrapers`);
+    return DEFAULT_CONFIG;
+  }
+
+  const config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  if (!Array.isArray(config.indexers)) {
+    throw new Error(`Indexer config ${resolvedPath} must contain an "indexers" array`);
+  }
+
+  return config;
+}
+
+function createIndexers(config) {
+  const indexers = [];
+
+  for (const entry of config.indexers) {
+    const IndexerClass = INDEXER_TYPES[entry.type];
+    if (!IndexerClass) {
+      console.warn(`Unknown indexer type "${entry.type}", skipping`);
+      continue;
+    }
+
+    try {
+      const indexer = new IndexerClass(entry);
+      if (indexer.enabled) {
+        indexers.push(indexer);
+      }
+    } catch (error) {
+      console.error(`Failed to configure indexer "${entry.name || entry.type}":`, error.message);
+    }
+  }
+
+  console.log(`Enabled indexers: ${indexers.map(indexer => indexer.name).join(', ') || 'none'}`);
+  return indexers;
+}
+
+module.exports = {
+  INDEXER_TYPES,
+  loadIndexerConfig,
+  createIndexers
+};
@@ -0,0 +1,70 @@
+// Base class for torrent indexers. Subclasses implement search(query, type)
+// (type is 'movie' or 'series') and return raw results; searchWithTimeout() normalises them into the shape
+// TorrentScanner.findBestTorrent expects.
+class Indexer {
+  constructor(config = {}) {
+    this.name = config.name || this.constructor.name;
+    this.enabled = config.enabled !== false;
+    this.timeout = config.timeout || 10000;
+    this.verified = config.verified;
+    this.defaultSeeders = config.defaultSeeders || 0;
+    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+  }
+
+  async search(query, type) {
+    throw new Error(`${this.name} does not implement search()`);
+  }
+
+  async searchWithTimeout(query, type = 'movie') {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Timeout')), this.timeout);
+    });
+
+    try {
+      const results = await Promise.race([this.search(query, type), timeout]);
+      return results
+        .map(result => this.normalize(result))
+        .filter(result => result.title && result.magnetLink);
+    } catch (error) {
+      console.log(`${this.name} failed: ${error.message}`);
+      return [];
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  normalize(result) {
+    return {
+      title: (result.title || '').trim(),
+      magnetLink: result.magnetLink || null,
+      seeders: parseInt(result.seeders) || this.defaultSeeders,
+      leechers: parseInt(result.leechers) || 0,
+      size: Number(result.size) || 0,
+      source: this.name,
+      verified: this.verified !== undefined ? !!this.verified : !!result.verified
+    };
+  }
+
+  parseSize(sizeText) {
+    const match = (sizeText || '').match(/(\d+(?:[.,]\d+)?)\s*(TB|GB|MB|KB|TiB|GiB|MiB|KiB)/i);
+    if (!match) return 0;
+    
+    const size = parseFloat(match[1].replace(',', '.'));
+    const unit = match[2].toLowerCase().replace('i', '');
+    
+    switch (unit) {
+      case 'tb': return size * 1024 * 1024 * 1024 * 1024;
+      case 'gb': return size * 1024 * 1024 * 1024;
+      case 'mb': return size * 1024 * 1024;
+      case 'kb': return size * 1024;
+      default: return size;
+    }
+  }
+
+  buildMagnetLink(infoHash, title) {
+    return `magnet:?xt=urn:btih:${infoHash}&dn=${encodeURIComponent(title || '')}`;
+  }
+}
+
+module.exports = Indexer;
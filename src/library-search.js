@@ -0,0 +1,108 @@
+const { normalizeTitle } = require('./title-matcher');
+
+// Fields searched per movie and how much a hit in each counts
+const FIELD_WEIGHTS = {
+  title: 1,
+  originalTitle: 1,
+  cast: 0.8,
+  director: 0.8,
+  genres: 0.6
+};
+
+const MIN_SCORE = 0.5;
+
+// Levenshtein distance, giving up once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Exact word, prefix of a word ("matri" finds "matrix"), or a typo or two
+// in longer words
+function tokenScore(queryToken, fieldTokens) {
+  let best = 0;
+
+  for (const token of fieldTokens) {
+    if (token === queryToken) return 1;
+    if (token.startsWith(queryToken) && queryToken.length >= 2) {
+      best = Math.max(best, 0.9);
+      continue;
+    }
+
+    const allowed = queryToken.length >= 8 ? 2 : queryToken.length >= 4 ? 1 : 0;
+    if (allowed > 0 && editDistance(queryToken, token, allowed) <= allowed) {
+      best = Math.max(best, 0.7);
+    }
+  }
+
+  return best;
+}
+
+function fieldScore(queryTokens, value) {
+  const normalized = normalizeTitle(value);
+  if (!normalized) return 0;
+
+  // The whole query as a phrase; an exact title beats one that contains it
+  const phrase = queryTokens.join(' ');
+  if (normalized === phrase) return 1;
+  if (normalized.includes(phrase)) return 0.95;
+
+  const fieldTokens = normalized.split(' ');
+  const total = queryTokens.reduce((sum, token) => sum + tokenScore(token, fieldTokens), 0);
+  return total / queryTokens.length;
+}
+
+// Ranks movies against a free-text query. getGenres(movie) returns the genre
+// names as one string. Returns [{ movie, score, matchedOn }], best first.
+function searchLibrary(movies, query, getGenres, limit = 20) {
+  const queryTokens = normalizeTitle(query).split(' ').filter(Boolean);
+  if (queryTokens.length === 0) return [];
+
+  const results = [];
+  for (const movie of movies) {
+    const fields = {
+      title: movie.title,
+      originalTitle: movie.originalTitle,
+      cast: movie.cast,
+      director: movie.director,
+      genres: getGenres(movie).replace(/\|/g, ' ')
+    };
+
+    let best = { score: 0, matchedOn: null };
+    Object.entries(fields).forEach(([field, value]) => {
+      const score = fieldScore(queryTokens, value) * FIELD_WEIGHTS[field];
+      if (score > best.score) {
+        best = { score, matchedOn: field };
+      }
+    });
+
+    if (best.score >= MIN_SCORE) {
+      results.push({ movie, score: Math.round(best.score * 100) / 100, matchedOn: best.matchedOn });
+    }
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || (b.movie.popularity || 0) - (a.movie.popularity || 0))
+    .slice(0, limit);
+}
+
+module.exports = {
+  searchLibrary
+};
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+
+// Append-only JSON Lines store for the movie library.
+// Every write appends records; load() replays them in order so the last
+// record for a key wins. The log is compacted once it grows too large.
+// The playlist is kept next to it (library.m3u) and only rewritten when it
+// changes, since it is far bigger than the records of a typical save.
+class LibraryStore {
+  constructor(filePath = process.env.LIBRARY_PATH || './data/library.jsonl') {
+    this.filePath = path.resolve(filePath);
+    this.playlistPath = `${this.filePath.replace(/\.jsonl$/, '')}.m3u`;
+    this.compactBytes = (parseInt(process.env.LIBRARY_COMPACT_MB) || 16) * 1024 * 1024;
+    this.recordCount = 0;
+    this.byteCount = 0;
+    this.compactedBytes = 0;
+    this.savedPlaylist = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  load() {
+    const state = {
+      movies: new Map(),
+      torrents: new Map(),
+      series: new Map(),
+      lastUpdate: null,
+      playlist: null,
+      playlistIds: [],
+      playlistSeriesIds: [],
+      catalogs: {}
+    };
+
+    if (!fs.existsSync(this.filePath)) {
+      return state;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    let records = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append can leave a truncated last line
+        console.warn(`Skipping corrupt library record: ${error.message}`);
+        continue;
+      }
+
+      records++;
+      this.applyRecord(state, record);
+    }
+
+    this.recordCount = records;
+    this.byteCount = fs.statSync(this.filePath).size;
+
+    // Stores written before the playlist moved out of the log carry it in
+    // their state records; the next save then writes it out
+    if (fs.existsSync(this.playlistPath)) {
+      state.playlist = fs.readFileSync(this.playlistPath, 'utf8');
+      this.savedPlaylist = state.playlist;
+    }
+
+    console.log(`Loaded ${state.movies.size} movies and ${state.series.size} series from library store`);
+
+    return state;
+  }
+
+  applyRecord(state, record) {
+    switch (record.type) {
+      case 'movie':
+        state.movies.set(record.id, record.movie);
+        if (record.movie.torrent) {
+          state.torrents.set(record.id, record.movie.torrent);
+        } else {
+          state.torrents.delete(record.id);
+        }
+        break;
+      case 'remove':
+        state.movies.delete(record.id);
+        state.torrents.delete(record.id);
+        break;
+      case 'series':
+        state.series.set(record.id, record.series);
+        break;
+      case 'remove-series':
+        state.series.delete(record.id);
+        break;
+      case 'state':
+        state.lastUpdate = record.lastUpdate;
+        if (record.playlist !== undefined) {
+          state.playlist = record.playlist;
+        }
+        state.playlistIds = record.playlistIds || [];
+        state.playlistSeriesIds = record.playlistSeriesIds || [];
+        state.catalogs = record.catalogs || {};
+        break;
+      default:
+        console.warn(`Unknown library record type: ${record.type}`);
+    }
+  }
+
+  // Persist the movies touched by a refresh together with the new playlist.
+  // Falls back to a full rewrite once the log holds too many stale records
+  // or has grown past LIBRARY_COMPACT_MB and twice its last compacted size.
+  save({
+    movies,
+    changed = [],
+    removed = [],
+    series = new Map(),
+    changedSeries = [],
+    removedSeries = [],
+    lastUpdate,
+    playlist,
+    playlistIds = [],
+    playlistSeriesIds = [],
+    catalogs = {}
+  }) {
+    return this.enqueue(async () => {
+      await this.savePlaylist(playlist);
+
+      const records = [
+        ...changed
+          .filter(id => movies.has(id.toString()))
+          .map(id => ({ type: 'movie', id: id.toString(), movie: movies.get(id.toString()) })),
+        ...removed.map(id => ({ type: 'remove', id: id.toString() })),
+        ...changedSeries
+          .filter(id => series.has(id.toString()))
+          .map(id => ({ type: 'series', id: id.toString(), series: series.get(id.toString()) })),
+        ...removedSeries.map(id => ({ type: 'remove-series', id: id.toString() })),
+        { type: 'state', lastUpdate, playlistIds, playlistSeriesIds, catalogs }
+      ];
+
+      const tooManyRecords = this.recordCount + records.length > (movies.size + series.size + 1) * 4 + 100;
+      const tooLarge = this.byteCount > Math.max(this.compactBytes, this.compactedBytes * 2);
+      if (tooManyRecords || tooLarge) {
+        await this.compact({ movies, series, lastUpdate, playlistIds, playlistSeriesIds, catalogs });
+      } else {
+        await this.append(records);
+      }
+    });
+  }
+
+  // Rewrite the log so it holds exactly one record per live key
+  async compact({ movies, series, lastUpdate, playlistIds, playlistSeriesIds, catalogs }) {
+    const records = [
+      ...Array.from(movies.entries()).map(([id, movie]) => ({ type: 'movie', id, movie })),
+      ...Array.from(series.entries()).map(([id, show]) => ({ type: 'series', id, series: show })),
+      { type: 'state', lastUpdate, playlistIds, playlistSeriesIds, catalogs }
+    ];
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const data = this.serialize(records);
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, data);
+    await fs.promises.rename(tmpPath, this.filePath);
+
+    this.recordCount = records.length;
+    this.byteCount = Buffer.byteLength(data);
+    this.compactedBytes = this.byteCount;
+    console.log(`Compacted library store to ${records.length} records`);
+  }
+
+  async append(records) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const data = this.serialize(records);
+    await fs.promises.appendFile(this.filePath, data);
+    this.recordCount += records.length;
+    this.byteCount += Buffer.byteLength(data);
+  }
+
+  async savePlaylist(playlist) {
+    if (!playlist || playlist === this.savedPlaylist) return;
+
+    await fs.promises.mkdir(path.dirname(this.playlistPath), { recursive: true });
+
+    const tmpPath = `${this.playlistPath}.tmp`;
+    await fs.promises.writeFile(tmpPath, playlist);
+    await fs.promises.rename(tmpPath, this.playlistPath);
+    this.savedPlaylist = playlist;
+  }
+
+  serialize(records) {
+    return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+  }
+
+  // Serialize writes so appends and compactions never interleave
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(error => {
+      console.error('Library store write failed:', error.message);
+    });
+    return run;
+  }
+}
+
+module.exports = LibraryStore;
@@ -1,11 +1,22 @@
+const { formatEpisodeTag } = require('./episode-parser');
+const { parseReleaseName, formatQuality } = require('./release-parser');
+
+// URLs are written against this placeholder and resolved per request, so a
+// cached playlist never carries one client's host into another's response
+const BASE_URL = '{{BASE_URL}}';
+
 class M3UGenerator {
-  constructor(serverUrl = 'http://localhost:3000') {
+  constructor(serverUrl = BASE_URL) {
     this.serverUrl = serverUrl;
     this.genreMap = this.getGenreMap();
   }
 
-  async buildM3UContent(moviesWithTorrents) {
-    let m3u = '#EXTM3U\n';
+  // options.profile selects that profile's movie stream URLs and
+  // options.hls swaps them for /hls/ playlists. options.channels (movie id ->
+  // channel number) numbers a subset of the library like the full playlist;
+  // movies missing from it get no tvg-chno.
+  async buildM3UContent(moviesWithTorrents, seriesWithTorrents = [], options = {}) {
+    let m3u = `#EXTM3U url-tvg="${this.serverUrl}/epg.xml"\n`;
     m3u += '#PLAYLIST:Movie Collection\n';
     m3u += `#EXTM3U-version="1"\n\n`;
     
@@ -14,73 +25,211 @@ class M3UGenerator {
       
       if (!movie.torrent) continue; // Skip if no torrent found
       
-      // Get primary genre for grouping
-      const primaryGenre = this.getPrimaryGenre(movie.genreIds);
-      const allGenres = this.mapGenres(movie.genreIds);
+      const channel = options.channels ? options.channels.get(movie.id.toString()) || null : 1000 + i;
+      m3u += this.buildMovieEntry(movie, channel, options);
+    }
+    
+    // Episodes follow the movies, grouped per series and season
+    m3u += this.buildSeriesEntries(seriesWithTorrents, 1000 + moviesWithTorrents.length);
+    
+    return m3u;
+  }
+
+  // One movie's #EXTINF block. options.group replaces the genre group and
+  // options.startTime (seconds) adds a VLC resume point; channel may be null.
+  buildMovieEntry(movie, channel, options = {}) {
+    let m3u = '';
+    
+    // Get primary genre for grouping
+    const primaryGenre = this.getPrimaryGenre(movie.genreIds);
+    const allGenres = this.mapGenres(movie.genreIds);
+    
+    // Build EXTINF line with comprehensive metadata
+    m3u += `#EXTINF:-1 `;
+    m3u += `tvg-id="${movie.id}" `;
+    m3u += `tvg-name="${this.sanitize(movie.title)}" `;
+    m3u += `tvg-logo="${movie.poster || ''}" `;
+    m3u += `group-title="${options.group || primaryGenre}" `;
+    if (channel !== null) {
+      m3u += `tvg-chno="${channel}" `;
+    }
+    m3u += `tvg-language="en" `;
+    m3u += `tvg-country="US",`;
+    m3u += `${this.sanitize(movie.title)} (${movie.year})\n`;
+    
+    // Extended metadata tags
+    m3u += `#EXTGRP:${options.group || primaryGenre}\n`;
+    
+    if (movie.poster) {
+      m3u += `#EXTIMG:${movie.poster}\n`;
+    }
+    
+    if (movie.backdrop) {
+      m3u += `#EXTART:${movie.backdrop}\n`;
+    }
+    
+    if (movie.description) {
+      m3u += `#EXTDESC:${this.sanitizeDescription(movie.description)}\n`;
+    }
+    
+    m3u += `#EXTRATING:${movie.rating}\n`;
+    m3u += `#EXTGENRE:${allGenres}\n`;
+    m3u += `#EXTYEAR:${movie.year}\n`;
+    
+    // Torrent-specific info
+    m3u += `#EXTQUALITY:${this.extractQuality(movie.torrent.title)}\n`;
+    m3u += `#EXTSEEDERS:${movie.torrent.seeders}\n`;
+    m3u += this.buildHealthTag(movie.torrent);
+    m3u += `#EXTSIZE:${this.formatSize(movie.torrent.size)}\n`;
+    m3u += `#EXTSOURCE:${movie.torrent.source}\n`;
+    
+    if (movie.torrent.verified) {
+      m3u += `#EXTVERIFIED:Yes\n`;
+    }
+    
+    // Language and type info
+    m3u += `#EXTLANGUAGE:${movie.language || 'en'}\n`;
+    m3u += `#EXTTYPE:${movie.type || 'movie'}\n`;
+    
+    // Additional movie info if available
+    if (movie.runtime) {
+      m3u += `#EXTDURATION:${movie.runtime}\n`;
+    }
+    
+    if (movie.director) {
+      m3u += `#EXTDIRECTOR:${this.sanitize(movie.director)}\n`;
+    }
+    
+    if (movie.cast) {
+      m3u += `#EXTCAST:${this.sanitize(movie.cast)}\n`;
+    }
+    
+    // Popularity and vote info
+    m3u += `#EXTPOPULARITY:${Math.round(movie.popularity)}\n`;
+    m3u += `#EXTVOTES:${movie.voteCount}\n`;
+    
+    // Resume point, honoured by VLC-based players
+    if (options.startTime) {
+      m3u += `#EXTVLCOPT:start-time=${options.startTime}\n`;
+    }
+    
+    // Stream URL
+    m3u += `${this.getMovieStreamUrl(movie, options)}\n\n`;
+    return m3u;
+  }
+
+  // Extra groups (e.g. per-user "Continue Watching") placed ahead of the
+  // library. Entries reuse the movie's tvg-id but take no channel number.
+  // groups: [{ name, movies: [{ movie, startTime }] }]
+  insertGroups(playlist, groups, options = {}) {
+    const entries = groups
+      .map(group => group.movies
+        .filter(({ movie }) => movie && movie.torrent)
+        .map(({ movie, startTime }) => this.buildMovieEntry(movie, null, { ...options, group: group.name, startTime }))
+        .join(''))
+      .join('');
+    
+    // The header block ends with the first blank line
+    const headerEnd = playlist.indexOf('\n\n') + 2;
+    return playlist.substring(0, headerEnd) + entries + playlist.substring(headerEnd);
+  }
+
+  // Replaces the base URL placeholder with the client's base URL
+  resolveUrls(content, baseUrl) {
+    return content.split(BASE_URL).join(baseUrl);
+  }
+
+  getMovieStreamUrl(movie, options = {}) {
+    const profile = options.profile ? encodeURIComponent(options.profile) : null;
+    
+    if (options.hls) {
+      return `${this.serverUrl}/hls/${movie.id}${profile ? `/${profile}` : ''}/index.m3u8`;
+    }
+    
+    return `${this.serverUrl}/stream/${movie.id}${profile ? `?profile=${profile}` : ''}`;
+  }
+
+  // Every playable episode in playlist order; channel numbers count through
+  // this list, so the EPG uses it too
+  getSeriesEpisodes(seriesWithTorrents) {
+    const entries = [];
+    
+    for (const series of seriesWithTorrents) {
+      for (const season of series.seasons || []) {
+        for (const episode of season.episodes) {
+          const torrent = episode.torrent || season.torrent;
+          if (!torrent) continue;
+          
+          const tag = formatEpisodeTag(season.seasonNumber, episode.episodeNumber);
+          entries.push({
+            series,
+            season,
+            episode,
+            torrent,
+            tag,
+            tvgId: `tv-${series.id}-${tag.toLowerCase()}`,
+            logo: episode.still || season.poster || series.poster || ''
+          });
+        }
+      }
+    }
+    
+    return entries;
+  }
+
+  buildSeriesEntries(seriesWithTorrents, firstChannel) {
+    let m3u = '';
+    let channel = firstChannel;
+    
+    for (const { series, season, episode, torrent, tag, tvgId, logo } of this.getSeriesEpisodes(seriesWithTorrents)) {
+      const seriesTitle = this.sanitize(series.title);
+      const allGenres = this.mapGenres(series.genreIds);
+      const groupTitle = `${seriesTitle} - Season ${season.seasonNumber}`;
       
-      // Build EXTINF line with comprehensive metadata
       m3u += `#EXTINF:-1 `;
-      m3u += `tvg-id="${movie.id}" `;
-      m3u += `tvg-name="${this.sanitize(movie.title)}" `;
-      m3u += `tvg-logo="${movie.poster || ''}" `;
-      m3u += `group-title="${primaryGenre}" `;
-      m3u += `tvg-chno="${1000 + i}" `;
+      m3u += `tvg-id="${tvgId}" `;
+      m3u += `tvg-name="${seriesTitle} ${tag}" `;
+      m3u += `tvg-logo="${logo}" `;
+      m3u += `group-title="${groupTitle}" `;
+      m3u += `tvg-chno="${channel++}" `;
       m3u += `tvg-language="en" `;
       m3u += `tvg-country="US",`;
-      m3u += `${this.sanitize(movie.title)} (${movie.year})\n`;
+      m3u += `${seriesTitle} ${tag} - ${this.sanitize(episode.title)}\n`;
       
-      // Extended metadata tags
-      m3u += `#EXTGRP:${primaryGenre}\n`;
+      m3u += `#EXTGRP:${groupTitle}\n`;
       
-      if (movie.poster) {
-        m3u += `#EXTIMG:${movie.poster}\n`;
+      if (logo) {
+        m3u += `#EXTIMG:${logo}\n`;
       }
       
-      if (movie.backdrop) {
-        m3u += `#EXTART:${movie.backdrop}\n`;
-      }
-      
-      if (movie.description) {
-        m3u += `#EXTDESC:${this.sanitizeDescription(movie.description)}\n`;
+      if (series.backdrop) {
+        m3u += `#EXTART:${series.backdrop}\n`;
       }
       
-      m3u += `#EXTRATING:${movie.rating}\n`;
+      m3u += `#EXTDESC:${this.sanitizeDescription(episode.description)}\n`;
+      m3u += `#EXTRATING:${episode.rating || series.rating}\n`;
       m3u += `#EXTGENRE:${allGenres}\n`;
-      m3u += `#EXTYEAR:${movie.year}\n`;
       
-      // Torrent-specific info
-      m3u += `#EXTQUALITY:${this.extractQuality(movie.torrent.title)}\n`;
-      m3u += `#EXTSEEDERS:${movie.torrent.seeders}\n`;
-      m3u += `#EXTSIZE:${this.formatSize(movie.torrent.size)}\n`;
-      m3u += `#EXTSOURCE:${movie.torrent.source}\n`;
-      
-      if (movie.torrent.verified) {
-        m3u += `#EXTVERIFIED:Yes\n`;
+      if (episode.airDate) {
+        m3u += `#EXTYEAR:${episode.airDate.substring(0, 4)}\n`;
       }
       
-      // Language and type info
-      m3u += `#EXTLANGUAGE:${movie.language || 'en'}\n`;
-      m3u += `#EXTTYPE:${movie.type || 'movie'}\n`;
-      
-      // Additional movie info if available
-      if (movie.runtime) {
-        m3u += `#EXTDURATION:${movie.runtime}\n`;
-      }
+      m3u += `#EXTQUALITY:${this.extractQuality(torrent.title)}\n`;
+      m3u += `#EXTSEEDERS:${torrent.seeders}\n`;
+      m3u += this.buildHealthTag(torrent);
+      m3u += `#EXTSIZE:${this.formatSize(torrent.size)}\n`;
+      m3u += `#EXTSOURCE:${torrent.source}\n`;
+      m3u += `#EXTTYPE:episode\n`;
       
-      if (movie.director) {
-        m3u += `#EXTDIRECTOR:${this.sanitize(movie.director)}\n`;
+      if (episode.runtime) {
+        m3u += `#EXTDURATION:${episode.runtime}\n`;
       }
       
-      if (movie.cast) {
-        m3u += `#EXTCAST:${this.sanitize(movie.cast)}\n`;
+      if (series.cast) {
+        m3u += `#EXTCAST:${this.sanitize(series.cast)}\n`;
       }
       
-      // Popularity and vote info
-      m3u += `#EXTPOPULARITY:${Math.round(movie.popularity)}\n`;
-      m3u += `#EXTVOTES:${movie.voteCount}\n`;
-      
-      // Stream URL
-      m3u += `${this.serverUrl}/stream/${movie.id}\n\n`;
+      m3u += `${this.serverUrl}/stream/${series.id}/${season.seasonNumber}/${episode.episodeNumber}\n\n`;
     }
     
     return m3u;
@@ -192,21 +341,13 @@ class M3UGenerator {
   }
 
   extractQuality(torrentTitle) {
-    const title = torrentTitle.toLowerCase();
-    
-    if (title.includes('2160p') || title.includes('4k') || title.includes('uhd')) {
-      return '4K';
-    } else if (title.includes('1080p') || title.includes('fhd')) {
-      return '1080p';
-    } else if (title.includes('720p') || title.includes('hd')) {
-      return '720p';
-    } else if (title.includes('480p')) {
-      return '480p';
-    } else if (title.includes('360p')) {
-      return '360p';
-    } else {
-      return 'SD';
-    }
+    return formatQuality(parseReleaseName(torrentTitle));
+  }
+
+  // Tracker scrape result, e.g. "#EXTHEALTH:healthy 2024-05-01T12:00:00.000Z"
+  buildHealthTag(torrent) {
+    if (!torrent.health) return '';
+    return `#EXTHEALTH:${torrent.health.status} ${new Date(torrent.health.checkedAt).toISOString()}\n`;
   }
 
   formatSize(bytes) {
@@ -254,31 +395,46 @@ class M3UGenerator {
   }
 
   // Generate JSON playlist for API usage
-  buildJSONPlaylist(moviesWithTorrents) {
+  buildJSONPlaylist(moviesWithTorrents, baseUrl = this.serverUrl) {
     return {
       playlist: {
         name: 'Movie Collection',
         version: '1.0',
         count: moviesWithTorrents.length,
-        items: moviesWithTorrents.map((movie, index) => ({
-          id: movie.id,
-          title: movie.title,
-          year: movie.year,
-          description: movie.description,
-          poster: movie.poster,
-          backdrop: movie.backdrop,
-          rating: movie.rating,
-          genres: this.mapGenres(movie.genreIds),
-          quality: this.extractQuality(movie.torrent.title),
-          size: this.formatSize(movie.torrent.size),
-          seeders: movie.torrent.seeders,
-          source: movie.torrent.source,
-          streamUrl: `${this.serverUrl}/stream/${movie.id}`,
-          channelNumber: 1000 + index
-        }))
+        items: moviesWithTorrents.map((movie, index) => this.buildJSONItem(movie, 1000 + index, baseUrl))
       }
     };
   }
+
+  // Movies without a torrent (e.g. TMDB search results) get null torrent
+  // fields and no stream URL
+  buildJSONItem(movie, channelNumber, baseUrl = this.serverUrl) {
+    const torrent = movie.torrent;
+    
+    return {
+      id: movie.id,
+      title: movie.title,
+      year: movie.year,
+      description: movie.description,
+      poster: movie.poster,
+      backdrop: movie.backdrop,
+      rating: movie.rating,
+      genres: this.mapGenres(movie.genreIds),
+      quality: torrent ? this.extractQuality(torrent.title) : null,
+      size: torrent ? this.formatSize(torrent.size) : null,
+      seeders: torrent ? torrent.seeders : null,
+      health: torrent ? torrent.health || null : null,
+      source: torrent ? torrent.source : null,
+      streamUrl: torrent ? `${baseUrl}/stream/${movie.id}` : null,
+      subtitles: (movie.subtitles || []).map(subtitle => ({
+        language: subtitle.language,
+        label: subtitle.label,
+        forced: subtitle.forced,
+        url: `${baseUrl}/subtitles/${movie.id}/${subtitle.key}.vtt`
+      })),
+      channelNumber
+    };
+  }
 }
 
 module.exports = M3UGenerator;
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// Named quality profiles used to pick one torrent variant per title.
+// Resolutions and codecs are listed in order of preference; allowedResolutions
+// of null allows anything. hdr is 'prefer', 'avoid' or 'any'.
+const DEFAULT_PROFILES = {
+  default: {
+    description: 'Best overall release',
+    preferredResolutions: ['2160p', '1080p', '720p', '480p'],
+    allowedResolutions: null,
+    minSizeGB: null,
+    maxSizeGB: null,
+    preferredCodecs: ['x265', 'x264'],
+    hdr: 'any',
+    minSeeders: 0
+  },
+  '4k': {
+    description: 'Living-room 4K HDR',
+    preferredResolutions: ['2160p', '1080p'],
+    allowedResolutions: ['2160p', '1080p'],
+    minSizeGB: 4,
+    maxSizeGB: 80,
+    preferredCodecs: ['x265'],
+    hdr: 'prefer',
+    minSeeders: 5
+  },
+  mobile: {
+    description: 'Small 720p files for phones and remote viewing',
+    preferredResolutions: ['720p', '1080p', '480p'],
+    allowedResolutions: ['720p', '1080p', '480p'],
+    minSizeGB: 0.3,
+    maxSizeGB: 2,
+    preferredCodecs: ['x265', 'x264'],
+    hdr: 'avoid',
+    minSeeders: 5
+  }
+};
+
+// Profiles from the config file are merged over the defaults by name
+function loadQualityProfiles(configPath = process.env.QUALITY_PROFILES_CONFIG || './config/quality-profiles.json') {
+  const resolvedPath = path.resolve(configPath);
+  const profiles = {};
+
+  Object.entries(DEFAULT_PROFILES).forEach(([name, profile]) => {
+    profiles[name] = { name, ...profile };
+  });
+
+  if (!fs.existsSync(resolvedPath)) {
+    return profiles;
+  }
+
+  const config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  Object.entries(config.profiles || {}).forEach(([name, profile]) => {
+    profiles[name] = { name, ...(Object.hasOwn(profiles, name) ? profiles[name] : DEFAULT_PROFILES.default), ...profile };
+  });
+
+  console.log(`Loaded quality profiles: ${Object.keys(profiles).join(', ')}`);
+  return profiles;
+}
+
+module.exports = {
+  DEFAULT_PROFILES,
+  loadQualityProfiles
+};
@@ -0,0 +1,182 @@
+const { parseEpisode } = require('./episode-parser');
+
+// Structured fields from scene/P2P release names such as
+// "Movie.Name.2023.Extended.2160p.UHD.BluRay.x265.HDR.DV.TrueHD.Atmos.7.1-GROUP".
+// Patterns run against a copy where "_" is a separator, so \b works as expected.
+
+const RESOLUTIONS = [
+  { value: '2160p', pattern: /\b(2160p|4k|uhd)\b/ },
+  { value: '1080p', pattern: /\b(1080[pi]|fhd)\b/ },
+  { value: '720p', pattern: /\b720p\b/ },
+  { value: '576p', pattern: /\b576[pi]\b/ },
+  { value: '480p', pattern: /\b480p\b/ },
+  { value: '360p', pattern: /\b360p\b/ }
+];
+
+// Order matters: camera rips often also say "HD", and WEBRip must win over WEB
+const SOURCES = [
+  { value: 'CAM', pattern: /\b(cam|camrip|hd-?cam|hq-?cam)\b/ },
+  { value: 'TS', pattern: /\b(ts|telesync|hd-?ts|pdvd)\b/ },
+  { value: 'TC', pattern: /\b(tc|telecine|hd-?tc)\b/ },
+  { value: 'SCR', pattern: /\b(scr|screener|dvd-?scr|bd-?scr)\b/ },
+  { value: 'BluRay', pattern: /\b(blu-?ray|bd-?rip|br-?rip|bd25|bd50|remux)\b/ },
+  { value: 'WEBRip', pattern: /\bweb-?rip\b/ },
+  { value: 'WEB-DL', pattern: /\b(web-?dl|web|amzn|nf|dsnp|hmax|atvp)\b/ },
+  { value: 'HDTV', pattern: /\b(hdtv|pdtv)\b/ },
+  { value: 'DVDRip', pattern: /\b(dvd-?rip|dvd|dvd-?r|dvd5|dvd9)\b/ }
+];
+
+const LOW_QUALITY_SOURCES = ['CAM', 'TS', 'TC'];
+
+const VIDEO_CODECS = [
+  { value: 'x265', pattern: /\b(x265|h\.?265|hevc)\b/ },
+  { value: 'x264', pattern: /\b(x264|h\.?264|avc)\b/ },
+  { value: 'AV1', pattern: /\bav1\b/ },
+  { value: 'XviD', pattern: /\b(xvid|divx)\b/ }
+];
+
+const AUDIO_CODECS = [
+  { value: 'Atmos', pattern: /\batmos\b/ },
+  { value: 'TrueHD', pattern: /\btruehd\b/ },
+  { value: 'DTS-HD', pattern: /\bdts-?(hd|ma|x)\b/ },
+  { value: 'DTS', pattern: /\bdts\b/ },
+  { value: 'DD+', pattern: /\b(ddp|dd\+|e-?ac-?3)/ },
+  { value: 'DD', pattern: /\b(dd|ac-?3|dolby digital)(?=\b|\d)/ },
+  { value: 'AAC', pattern: /\baac/ },
+  { value: 'FLAC', pattern: /\bflac\b/ },
+  { value: 'Opus', pattern: /\bopus\b/ },
+  { value: 'MP3', pattern: /\bmp3\b/ }
+];
+
+const LANGUAGES = [
+  { value: 'multi', pattern: /\bmulti\b/ },
+  { value: 'dual', pattern: /\bdual(-?audio)?\b/ },
+  { value: 'en', pattern: /\b(english|eng)\b/ },
+  { value: 'fr', pattern: /\b(french|truefrench|vff|vfq|vostfr)\b/ },
+  { value: 'de', pattern: /\b(german|ger)\b/ },
+  { value: 'es', pattern: /\b(spanish|castellano|latino|esp)\b/ },
+  { value: 'it', pattern: /\b(italian|ita)\b/ },
+  { value: 'pt', pattern: /\b(portuguese|dublado)\b/ },
+  { value: 'ru', pattern: /\b(russian|rus)\b/ },
+  { value: 'hi', pattern: /\bhindi\b/ },
+  { value: 'ja', pattern: /\bjapanese\b/ },
+  { value: 'ko', pattern: /\bkorean\b/ },
+  { value: 'zh', pattern: /\b(chinese|mandarin|cantonese)\b/ }
+];
+
+const EDITIONS = [
+  { value: "Director's Cut", pattern: /\bdirector'?s[ .-]?cut\b/ },
+  { value: 'Extended', pattern: /\bextended([ .-]?(cut|edition))?\b/ },
+  { value: 'Unrated', pattern: /\bunrated\b/ },
+  { value: 'Theatrical', pattern: /\btheatrical\b/ },
+  { value: 'Final Cut', pattern: /\bfinal[ .-]?cut\b/ },
+  { value: 'Ultimate Edition', pattern: /\bultimate[ .-]?edition\b/ },
+  { value: 'Remastered', pattern: /\bremastered\b/ },
+  { value: 'IMAX', pattern: /\bimax\b/ },
+  { value: 'Criterion', pattern: /\bcriterion\b/ }
+];
+
+// Tokens that mark the end of the title part of a release name
+const TAG_TOKEN = /^(\d{3,4}[pi]|4k|uhd|fhd|s\d{1,2}(e\d{1,3})*|\d{1,2}x\d{2,3}|season|complete|blu|bluray|bdrip|brrip|bd25|bd50|remux|web|webrip|webdl|web-dl|web-rip|hdtv|pdtv|dvdrip|dvd|dvdscr|hdrip|hdcam|hdts|cam|camrip|ts|tc|telesync|telecine|x264|x265|h264|h265|hevc|avc|xvid|divx|av1|10bit|hdr|hdr10|dv|extended|unrated|remastered|directors|imax|proper|repack|internal|limited|multi|dual)$/i;
+
+function matchFirst(text, table) {
+  const entry = table.find(({ pattern }) => pattern.test(text));
+  return entry ? entry.value : null;
+}
+
+function parseAudioChannels(text) {
+  const match = text.match(/(?:^|[^\d])([1-8])[ .]([01])(?:ch)?(?![\d])/);
+  return match ? `${match[1]}.${match[2]}` : null;
+}
+
+function parseReleaseGroup(title) {
+  const name = title
+    .trim()
+    .replace(/\.(mkv|mp4|avi|m4v|webm|torrent)$/i, '')
+    .replace(/\s*\[(eztv|rarbg|ettv|tgx|eztv\.re)[^\]]*\]$/i, '');
+
+  // Scene style: "...x264-GROUP"
+  const suffix = name.match(/-([A-Za-z0-9][A-Za-z0-9.]{1,20})$/);
+  if (suffix && !/^\d+p$/i.test(suffix[1])) {
+    return suffix[1];
+  }
+
+  // P2P style: "... [YTS.MX]" or "[YIFY] ..."
+  const bracket = name.match(/\[([A-Za-z][A-Za-z0-9.]{1,15})\]$/) || name.match(/^\[([A-Za-z][A-Za-z0-9.]{1,15})\]/);
+  return bracket ? bracket[1] : null;
+}
+
+// Splits "The.Movie.Name.2019.1080p..." into { title: 'The Movie Name', year: 2019 }.
+// The last plausible year before the first tag wins, so "1917 2019" and
+// "Blade Runner 2049 2017" both keep the numbers that belong to the title.
+function parseTitleAndYear(name) {
+  const tokens = (name || '')
+    .replace(/\.(mkv|mp4|avi|m4v|webm|torrent)$/i, '')
+    .replace(/^\[[^\]]*\]\s*/, '')
+    .split(/[\s._()\[\]{}]+|-(?=\s)|(?<=\s)-/)
+    .filter(Boolean);
+
+  const maxYear = new Date().getFullYear() + 1;
+  const isYear = token => /^(19|20)\d{2}$/.test(token) && parseInt(token, 10) <= maxYear;
+
+  let tagIndex = tokens.findIndex((token, index) => index > 0 && TAG_TOKEN.test(token));
+  if (tagIndex === -1) tagIndex = tokens.length;
+
+  let yearIndex = -1;
+  for (let i = 1; i < tagIndex; i++) {
+    if (isYear(tokens[i])) yearIndex = i;
+  }
+
+  const titleEnd = yearIndex !== -1 ? yearIndex : tagIndex;
+  return {
+    title: tokens.slice(0, titleEnd).join(' ').trim(),
+    year: yearIndex !== -1 ? parseInt(tokens[yearIndex], 10) : null
+  };
+}
+
+function parseReleaseName(title) {
+  const text = (title || '').toLowerCase().replace(/_/g, ' ');
+  const episode = parseEpisode(title);
+  const source = matchFirst(text, SOURCES);
+  const titleAndYear = parseTitleAndYear(title);
+
+  return {
+    title: titleAndYear.title,
+    year: titleAndYear.year,
+    resolution: matchFirst(text, RESOLUTIONS),
+    source,
+    remux: /\bremux\b/.test(text),
+    lowQuality: LOW_QUALITY_SOURCES.includes(source),
+    videoCodec: matchFirst(text, VIDEO_CODECS),
+    hdr: /\b(hdr|hdr10|hdr10\+|hdr10plus|hlg)(?=\b|\+)/.test(text),
+    dolbyVision: /\b(dv|dovi|dolby[ .-]?vision)\b/.test(text),
+    audioCodec: matchFirst(text, AUDIO_CODECS),
+    audioChannels: parseAudioChannels(text),
+    languages: LANGUAGES.filter(({ pattern }) => pattern.test(text)).map(({ value }) => value),
+    releaseGroup: parseReleaseGroup(title || ''),
+    edition: matchFirst(text, EDITIONS),
+    season: episode.season,
+    episode: episode.episode,
+    episodeEnd: episode.episodeEnd
+  };
+}
+
+// Label used for #EXTQUALITY and the JSON playlist
+function formatQuality(release) {
+  const labels = {
+    '2160p': '4K',
+    '1080p': '1080p',
+    '720p': '720p',
+    '576p': 'SD',
+    '480p': '480p',
+    '360p': '360p'
+  };
+
+  return labels[release.resolution] || 'SD';
+}
+
+module.exports = {
+  parseReleaseName,
+  formatQuality,
+  LOW_QUALITY_SOURCES
+};
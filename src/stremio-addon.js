@@ -0,0 +1,177 @@
+const { version } = require('../package.json');
+const { searchLibrary } = require('./library-search');
+
+const ID_PREFIX = 'tmdb:';
+const PAGE_SIZE = 100;
+
+// Stremio addon protocol (manifest, catalog, meta and stream resources) backed
+// by the movie library. Streams point at our own /stream/:movieId URLs, so
+// Stremio gets the same torrent selection, failover and stats as M3U players.
+// Ids are "tmdb:<id>" since the library has no IMDb ids for Cinemeta.
+class StremioAddon {
+  constructor(server) {
+    this.server = server;
+  }
+
+  getManifest() {
+    const genres = this.getGenres();
+    const catalogs = [
+      {
+        type: 'movie',
+        id: 'library',
+        name: 'Movie Proxy',
+        extra: [
+          { name: 'search', isRequired: false },
+          { name: 'genre', isRequired: false, options: genres },
+          { name: 'skip', isRequired: false }
+        ]
+      },
+      ...this.server.catalogs.map(catalog => ({
+        type: 'movie',
+        id: catalog.id,
+        name: catalog.name,
+        extra: [
+          { name: 'genre', isRequired: false, options: genres },
+          { name: 'skip', isRequired: false }
+        ]
+      }))
+    ];
+
+    return {
+      id: 'org.movieproxy.addon',
+      version,
+      name: 'Movie Proxy',
+      description: 'Movies from the Movie Proxy Server library, streamed through the proxy',
+      resources: ['catalog', 'meta', 'stream'],
+      types: ['movie'],
+      idPrefixes: [ID_PREFIX],
+      catalogs
+    };
+  }
+
+  // extra: { search, genre, skip }; null for an unknown catalog
+  getCatalog(catalogId, extra = {}) {
+    let movies;
+    if (catalogId === 'library') {
+      movies = this.getLibraryMovies();
+    } else if (this.server.catalogs.some(catalog => catalog.id === catalogId)) {
+      movies = this.server.getCatalogMovies(catalogId, 'default').filter(movie => movie.torrent);
+    } else {
+      return null;
+    }
+
+    if (extra.search) {
+      movies = searchLibrary(movies, extra.search, movie => this.getGenreNames(movie).join('|'), PAGE_SIZE)
+        .map(result => result.movie);
+    }
+    if (extra.genre) {
+      movies = movies.filter(movie => this.getGenreNames(movie).includes(extra.genre));
+    }
+
+    const skip = parseInt(extra.skip) || 0;
+    return { metas: movies.slice(skip, skip + PAGE_SIZE).map(movie => this.buildMetaPreview(movie)) };
+  }
+
+  async getMeta(stremioId) {
+    const movie = this.getMovie(stremioId);
+    if (!movie) return null;
+
+    const details = await this.server.tmdb.withMovieDetails(movie);
+
+    return {
+      meta: {
+        ...this.buildMetaPreview(movie),
+        background: movie.backdrop || undefined,
+        releaseInfo: movie.year ? movie.year.toString() : undefined,
+        released: movie.releaseDate ? new Date(movie.releaseDate).toISOString() : undefined,
+        runtime: details.runtime ? `${details.runtime} min` : undefined,
+        director: details.director && details.director !== 'Unknown' ? [details.director] : undefined,
+        cast: details.cast ? details.cast.split(', ') : undefined,
+        trailers: this.getTrailers(details.trailer),
+        language: movie.language
+      }
+    };
+  }
+
+  // One stream per distinct torrent: the default pick, then the other quality
+  // profiles. signUrl adds the caller's signature when auth is enabled.
+  getStreams(stremioId, baseUrl, signUrl = url => url) {
+    const movie = this.getMovie(stremioId);
+    if (!movie) return { streams: [] };
+
+    const seen = new Set();
+    const variants = [['default', movie.torrent], ...Object.entries(movie.torrents || {})];
+    const streams = [];
+
+    variants.forEach(([profile, torrent]) => {
+      if (!torrent || seen.has(torrent.magnetLink)) return;
+      seen.add(torrent.magnetLink);
+
+      const quality = this.server.m3uGenerator.extractQuality(torrent.title);
+      const query = profile === 'default' ? '' : `?profile=${encodeURIComponent(profile)}`;
+      streams.push({
+        name: `Movie Proxy\n${quality}`,
+        title: `${torrent.title}\n💾 ${this.server.m3uGenerator.formatSize(torrent.size)} 👤 ${torrent.seeders}`,
+        url: signUrl(`${baseUrl}/stream/${movie.id}${query}`),
+        behaviorHints: {
+          // Browsers cannot play mkv/HEVC directly; the desktop apps can
+          notWebReady: true,
+          bingeGroup: `movie-proxy-${profile}`
+        }
+      });
+    });
+
+    return { streams };
+  }
+
+  buildMetaPreview(movie) {
+    return {
+      id: `${ID_PREFIX}${movie.id}`,
+      type: 'movie',
+      name: movie.title,
+      poster: movie.poster || undefined,
+      posterShape: 'poster',
+      description: movie.description,
+      genres: this.getGenreNames(movie),
+      imdbRating: movie.rating ? movie.rating.toFixed(1) : undefined,
+      year: movie.year || undefined
+    };
+  }
+
+  getMovie(stremioId) {
+    if (!stremioId.startsWith(ID_PREFIX)) return null;
+
+    const movie = this.server.movieCache.get(stremioId.substring(ID_PREFIX.length));
+    return movie && movie.torrent ? movie : null;
+  }
+
+  // Playlist order first, then anything else in the library (e.g. requests
+  // found since the last rebuild)
+  getLibraryMovies() {
+    const ordered = this.server.playlistIds
+      .map(id => this.server.movieCache.get(id.toString()))
+      .filter(movie => movie && movie.torrent);
+    const listed = new Set(ordered.map(movie => movie.id.toString()));
+    const rest = Array.from(this.server.movieCache.values())
+      .filter(movie => movie.torrent && !listed.has(movie.id.toString()));
+
+    return [...ordered, ...rest];
+  }
+
+  getGenreNames(movie) {
+    return this.server.m3uGenerator.mapGenres(movie.genreIds).split('|').filter(genre => genre !== 'Unknown');
+  }
+
+  getGenres() {
+    const genres = new Set();
+    this.getLibraryMovies().forEach(movie => this.getGenreNames(movie).forEach(genre => genres.add(genre)));
+    return Array.from(genres).sort();
+  }
+
+  getTrailers(trailerUrl) {
+    const key = this.server.tmdb.getYoutubeKey(trailerUrl);
+    return key ? [{ source: key, type: 'Trailer' }] : undefined;
+  }
+}
+
+module.exports = StremioAddon;
@@ -0,0 +1,185 @@
+const path = require('path');
+
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa'];
+
+// ISO 639-1 code followed by the tokens that identify it in file names
+const LANGUAGE_TOKENS = {
+  en: ['en', 'eng', 'english'],
+  fr: ['fr', 'fre', 'fra', 'french', 'francais'],
+  de: ['de', 'ger', 'deu', 'german', 'deutsch'],
+  es: ['es', 'spa', 'spanish', 'espanol', 'castellano', 'latino'],
+  it: ['it', 'ita', 'italian', 'italiano'],
+  pt: ['pt', 'por', 'portuguese', 'brazilian', 'ptbr'],
+  nl: ['nl', 'dut', 'nld', 'dutch'],
+  sv: ['sv', 'swe', 'swedish'],
+  no: ['no', 'nor', 'norwegian'],
+  da: ['da', 'dan', 'danish'],
+  fi: ['fi', 'fin', 'finnish'],
+  pl: ['pl', 'pol', 'polish'],
+  cs: ['cs', 'cze', 'ces', 'czech'],
+  hu: ['hu', 'hun', 'hungarian'],
+  ro: ['ro', 'rum', 'ron', 'romanian'],
+  el: ['el', 'gre', 'ell', 'greek'],
+  tr: ['tr', 'tur', 'turkish'],
+  ru: ['ru', 'rus', 'russian'],
+  uk: ['uk', 'ukr', 'ukrainian'],
+  ar: ['ar', 'ara', 'arabic'],
+  he: ['he', 'heb', 'hebrew'],
+  hi: ['hi', 'hin', 'hindi'],
+  zh: ['zh', 'chi', 'zho', 'chinese', 'chs', 'cht', 'mandarin'],
+  ja: ['ja', 'jpn', 'japanese'],
+  ko: ['ko', 'kor', 'korean'],
+  vi: ['vi', 'vie', 'vietnamese'],
+  th: ['th', 'tha', 'thai'],
+  id: ['id', 'ind', 'indonesian']
+};
+
+const TOKEN_TO_LANGUAGE = new Map();
+Object.entries(LANGUAGE_TOKENS).forEach(([code, tokens]) => {
+  tokens.forEach(token => TOKEN_TO_LANGUAGE.set(token, code));
+});
+
+function isSubtitleFile(fileName) {
+  return SUBTITLE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+// Flags that may follow the language tag: "Movie.en.forced.srt"
+const MODIFIER_TOKENS = ['forced', 'sdh', 'cc', 'full', 'default'];
+
+// Year, resolution and source tags; a language tag can only come after these
+const RELEASE_TAG = /^((19|20)\d{2}|\d{3,4}p|4k|uhd|bluray|bdrip|brrip|web|webrip|webdl|dl|hdtv|dvdrip|hdrip|remux|x264|x265|h264|h265|hevc|avc|10bit|hdr)$/;
+
+// "Movie.2020.en.forced.srt", "Movie.2020.1080p.English.SDH.srt",
+// "Subs/2_English.srt" or "Subs/English/1.srt". Words of the title itself
+// ("It", "No Time To Die") are never read as a language.
+function parseSubtitleLanguage(filePath) {
+  const baseName = path.basename(filePath, path.extname(filePath)).toLowerCase();
+  const tokens = baseName.split(/[\s._\-[\]()]+/).filter(Boolean);
+  const parentName = path.basename(path.dirname(filePath)).toLowerCase();
+
+  // Suffix position, once trailing flags are set aside
+  const tagTokens = [...tokens];
+  while (tagTokens.length > 1 && MODIFIER_TOKENS.includes(tagTokens[tagTokens.length - 1])) {
+    tagTokens.pop();
+  }
+  // A bare "en.srt" only counts inside a folder; at the top it is a title
+  const suffix = tagTokens.length > 1 || parentName !== '.' ? tagTokens[tagTokens.length - 1] : null;
+
+  // Anything after the last year or quality tag
+  const lastTag = tokens.map(token => RELEASE_TAG.test(token)).lastIndexOf(true);
+  const afterTags = lastTag >= 0 ? tokens.slice(lastTag + 1) : [];
+
+  const language = (TOKEN_TO_LANGUAGE.has(suffix) && suffix)
+    || afterTags.find(token => TOKEN_TO_LANGUAGE.has(token))
+    || (TOKEN_TO_LANGUAGE.has(parentName) && parentName);
+
+  return {
+    language: language ? TOKEN_TO_LANGUAGE.get(language) : 'und',
+    forced: tokens.includes('forced'),
+    sdh: tokens.includes('sdh') || tokens.includes('cc')
+  };
+}
+
+function getLanguageLabel(code) {
+  if (code === 'und') return 'Unknown';
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+  } catch (error) {
+    return code;
+  }
+}
+
+// Prefers UTF-8 and falls back to Latin-1 for older subtitle files
+function decodeSubtitle(buffer) {
+  const text = buffer.toString('utf8');
+  const decoded = text.includes('\ufffd') ? buffer.toString('latin1') : text;
+  return decoded.replace(/^\ufeff/, '').replace(/\r\n?/g, '\n');
+}
+
+function srtToWebVTT(text) {
+  const body = text
+    .trim()
+    // SRT uses a comma before the milliseconds
+    .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2')
+    // Basic font tags are not part of WebVTT
+    .replace(/<\/?font[^>]*>/gi, '');
+
+  return `WEBVTT\n\n${body}\n`;
+}
+
+function assTimeToVTT(time) {
+  const [hours, minutes, rest] = time.trim().split(':');
+  const [seconds, centiseconds = '0'] = rest.split('.');
+  return `${hours.padStart(2, '0')}:${minutes}:${seconds}.${centiseconds.padEnd(3, '0').substring(0, 3)}`;
+}
+
+function assToWebVTT(text) {
+  const cues = [];
+  let format = null;
+  let inEvents = false;
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+
+    if (/^\[.+\]$/.test(trimmed)) {
+      inEvents = trimmed.toLowerCase() === '[events]';
+      continue;
+    }
+    if (!inEvents) continue;
+
+    if (trimmed.startsWith('Format:')) {
+      format = trimmed.substring(7).split(',').map(field => field.trim().toLowerCase());
+      continue;
+    }
+
+    if (!trimmed.startsWith('Dialogue:') || !format) continue;
+
+    // Text is the last field and may itself contain commas
+    const values = trimmed.substring(9).split(',');
+    const fields = {};
+    format.forEach((field, index) => {
+      fields[field] = index === format.length - 1
+        ? values.slice(index).join(',')
+        : (values[index] || '').trim();
+    });
+
+    const cueText = (fields.text || '')
+      .replace(/\{[^}]*\}/g, '') // override tags like {\i1}
+      .replace(/\\N/gi, '\n')
+      .replace(/\\h/g, ' ')
+      .trim();
+
+    if (cueText) {
+      cues.push({ start: fields.start, end: fields.end, text: cueText });
+    }
+  }
+
+  const body = cues
+    .map((cue, index) => `${index + 1}\n${assTimeToVTT(cue.start)} --> ${assTimeToVTT(cue.end)}\n${cue.text}`)
+    .join('\n\n');
+
+  return `WEBVTT\n\n${body}\n`;
+}
+
+function toWebVTT(buffer, fileName) {
+  const text = decodeSubtitle(buffer);
+  const ext = path.extname(fileName).toLowerCase();
+
+  switch (ext) {
+    case '.vtt':
+      return text.startsWith('WEBVTT') ? text : `WEBVTT\n\n${text}`;
+    case '.ass':
+    case '.ssa':
+      return assToWebVTT(text);
+    default:
+      return srtToWebVTT(text);
+  }
+}
+
+module.exports = {
+  SUBTITLE_EXTENSIONS,
+  isSubtitleFile,
+  parseSubtitleLanguage,
+  getLanguageLabel,
+  toWebVTT
+};
@@ -0,0 +1,72 @@
+// Confidence that a release is the requested title: token similarity of the
+// normalised titles, scaled down when the release year disagrees with TMDB.
+
+function normalizeTitle(title) {
+  return (title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^(the|a|an) /, '')
+    .trim();
+}
+
+// Dice coefficient over word tokens; differing numbers mean a different
+// entry in a franchise ("Toy Story 3" vs "Toy Story 4") and cap the score
+function titleSimilarity(a, b) {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftTokens = left.split(' ');
+  const rightTokens = right.split(' ');
+  const rightCounts = new Map();
+  rightTokens.forEach(token => rightCounts.set(token, (rightCounts.get(token) || 0) + 1));
+
+  let shared = 0;
+  leftTokens.forEach(token => {
+    const count = rightCounts.get(token) || 0;
+    if (count > 0) {
+      shared++;
+      rightCounts.set(token, count - 1);
+    }
+  });
+
+  const similarity = (2 * shared) / (leftTokens.length + rightTokens.length);
+
+  const numbers = tokens => tokens.filter(token => /^\d+$/.test(token)).sort().join(',');
+  if (numbers(leftTokens) !== numbers(rightTokens)) {
+    return Math.min(similarity, 0.5);
+  }
+
+  return similarity;
+}
+
+function yearFactor(releaseYear, expectedYear) {
+  if (!expectedYear) return 1;
+  if (!releaseYear) return 0.85; // Unknown, slightly less sure
+  
+  const diff = Math.abs(releaseYear - expectedYear);
+  if (diff === 0) return 1;
+  if (diff === 1) return 0.9; // Festival vs. theatrical release dates
+  return 0.3;
+}
+
+// release is the output of parseReleaseName; expected holds the TMDB title,
+// originalTitle and year (null year skips the year check, e.g. for series)
+function calculateMatchConfidence(release, expected) {
+  const candidates = [expected.title, expected.originalTitle].filter(Boolean);
+  const similarity = Math.max(0, ...candidates.map(title => titleSimilarity(release.title, title)));
+  const confidence = similarity * yearFactor(release.year, expected.year);
+
+  return Math.round(confidence * 100) / 100;
+}
+
+module.exports = {
+  normalizeTitle,
+  titleSimilarity,
+  calculateMatchConfidence
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Movies asked for by users that are not in any catalog. A request starts
+// "pending", becomes "found" once a torrent is in the library (the movie is
+// then pinned), or "retrying" until REQUEST_MAX_ATTEMPTS searches came up
+// empty, after which it is "not_found".
+class TitleRequests {
+  constructor(filePath = process.env.TITLE_REQUESTS_PATH || './data/requests.json') {
+    this.filePath = path.resolve(filePath);
+    this.maxAttempts = parseInt(process.env.REQUEST_MAX_ATTEMPTS) || 10;
+    this.requests = new Map();
+
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (data.requests || []).forEach(request => this.requests.set(request.id, request));
+    } catch (error) {
+      console.error('Failed to load title requests:', error.message);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ requests: this.list() }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  // movie is the TMDB list item the request resolved to
+  create(movie, { query = null, requestedBy = null } = {}) {
+    const request = {
+      id: crypto.randomUUID(),
+      tmdbId: movie.id,
+      title: movie.title,
+      year: movie.year,
+      query,
+      requestedBy,
+      status: 'pending',
+      attempts: 0,
+      lastAttemptAt: null,
+      lastError: null,
+      createdAt: Date.now(),
+      foundAt: null,
+      movie
+    };
+
+    this.requests.set(request.id, request);
+    this.save();
+    console.log(`Title requested: ${movie.title} (${movie.year})`);
+    return request;
+  }
+
+  get(id) {
+    return this.requests.get(id) || null;
+  }
+
+  findByTmdbId(tmdbId) {
+    return this.list().find(request => request.tmdbId === tmdbId) || null;
+  }
+
+  list() {
+    return Array.from(this.requests.values()).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Pending requests, plus the ones waiting for a retry when includeRetries is set
+  getDue(includeRetries) {
+    return this.list()
+      .filter(request => request.status === 'pending' || (includeRetries && request.status === 'retrying'))
+      .reverse();
+  }
+
+  // A not_found request asked for again gets a fresh set of attempts
+  reopen(id) {
+    const request = this.requests.get(id);
+    request.status = 'pending';
+    request.attempts = 0;
+    request.lastError = null;
+    this.save();
+    return request;
+  }
+
+  markFound(id) {
+    const request = this.requests.get(id);
+    if (!request) return;
+
+    request.status = 'found';
+    request.attempts++;
+    request.lastAttemptAt = Date.now();
+    request.foundAt = request.lastAttemptAt;
+    request.lastError = null;
+    this.save();
+  }
+
+  markFailed(id, error) {
+    const request = this.requests.get(id);
+    if (!request) return;
+
+    request.attempts++;
+    request.lastAttemptAt = Date.now();
+    request.lastError = error;
+    request.status = request.attempts >= this.maxAttempts ? 'not_found' : 'retrying';
+    this.save();
+  }
+
+  remove(id) {
+    const removed = this.requests.delete(id);
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+}
+
+module.exports = TitleRequests;
@@ -1,10 +1,14 @@
 const axios = require('axios');
+const { mapWithConcurrency } = require('./concurrency');
 
 class TMDBProvider {
   constructor(apiKey) {
     this.apiKey = apiKey;
     this.baseUrl = 'https://api.themoviedb.org/3';
     this.imageBaseUrl = 'https://image.tmdb.org/t/p';
+    this.detailsCache = new Map();
+    this.detailsTTL = (parseInt(process.env.DETAILS_CACHE_HOURS) || 168) * 60 * 60 * 1000;
+    this.enrichConcurrency = parseInt(process.env.DETAILS_CONCURRENCY) || 4;
     
     if (!apiKey) {
       throw new Error('TMDB API key is required');
@@ -12,33 +16,130 @@ class TMDBProvider {
   }
 
   async getPopularMovies(page = 1) {
+    return this.getMovieList('/movie/popular', {}, page);
+  }
+
+  // window is 'day' or 'week'
+  async getTrendingMovies(window = 'week', page = 1) {
+    return this.getMovieList(`/trending/movie/${window === 'day' ? 'day' : 'week'}`, {}, page);
+  }
+
+  async getTopRatedMovies(page = 1) {
+    return this.getMovieList('/movie/top_rated', {}, page);
+  }
+
+  async getNowPlayingMovies(page = 1) {
+    return this.getMovieList('/movie/now_playing', {}, page);
+  }
+
+  async getUpcomingMovies(page = 1) {
+    return this.getMovieList('/movie/upcoming', {}, page);
+  }
+
+  // filters: { genres: [ids], yearFrom, yearTo, minVotes, language, sortBy }
+  async discoverMovies(filters = {}, page = 1) {
+    const params = { sort_by: filters.sortBy || 'popularity.desc' };
+    
+    if (filters.genres && filters.genres.length > 0) {
+      params.with_genres = filters.genres.join(',');
+    }
+    if (filters.yearFrom) {
+      params['primary_release_date.gte'] = `${filters.yearFrom}-01-01`;
+    }
+    if (filters.yearTo) {
+      params['primary_release_date.lte'] = `${filters.yearTo}-12-31`;
+    }
+    if (filters.minVotes) {
+      params['vote_count.gte'] = filters.minVotes;
+    }
+    if (filters.language) {
+      params.with_original_language = filters.language;
+    }
+    
+    return this.getMovieList('/discover/movie', params, page);
+  }
+
+  // User-curated TMDB list; TV entries in the list are skipped
+  async getListMovies(listId, page = 1) {
+    return this.getMovieList(`/list/${encodeURIComponent(listId)}`, {}, page);
+  }
+
+  // Up to catalog.limit movies from catalog.pages pages of its source, in order
+  async getCatalogMovies(catalog) {
+    const limit = catalog.limit || Infinity;
+    const movies = [];
+    const seen = new Set();
+    
+    for (let page = 1; page <= (catalog.pages || 1) && movies.length < limit; page++) {
+      const results = await this.getCatalogPage(catalog, page);
+      if (results.length === 0) break;
+      
+      results.forEach(movie => {
+        if (seen.has(movie.id)) return;
+        seen.add(movie.id);
+        movies.push(movie);
+      });
+    }
+    
+    return movies.slice(0, limit);
+  }
+
+  getCatalogPage(catalog, page) {
+    switch (catalog.source) {
+      case 'popular':
+        return this.getPopularMovies(page);
+      case 'trending':
+        return this.getTrendingMovies(catalog.window, page);
+      case 'top_rated':
+        return this.getTopRatedMovies(page);
+      case 'now_playing':
+        return this.getNowPlayingMovies(page);
+      case 'upcoming':
+        return this.getUpcomingMovies(page);
+      case 'discover':
+        return this.discoverMovies(catalog, page);
+      case 'list':
+        return this.getListMovies(catalog.listId, page);
+      default:
+        throw new Error(`Unknown catalog source: ${catalog.source}`);
+    }
+  }
+
+  // One page of a TMDB movie endpoint; lists return "items", the rest "results"
+  async getMovieList(endpoint, params = {}, page = 1) {
     try {
-      const url = `${this.baseUrl}/movie/popular?api_key=${this.apiKey}&page=${page}&language=en-US`;
-      const response = await axios.get(url);
+      const query = new URLSearchParams({ api_key: this.apiKey, language: 'en-US', ...params, page });
+      const response = await axios.get(`${this.baseUrl}${endpoint}?${query}`);
       
-      return response.data.results.map(movie => ({
-        id: movie.id,
-        title: movie.title,
-        originalTitle: movie.original_title,
-        year: movie.release_date ? new Date(movie.release_date).getFullYear() : null,
-        releaseDate: movie.release_date,
-        poster: movie.poster_path ? `${this.imageBaseUrl}/w500${movie.poster_path}` : null,
-        backdrop: movie.backdrop_path ? `${this.imageBaseUrl}/original${movie.backdrop_path}` : null,
-        description: movie.overview || 'No description available',
-        rating: movie.vote_average,
-        voteCount: movie.vote_count,
-        popularity: movie.popularity,
-        genreIds: movie.genre_ids,
-        adult: movie.adult,
-        language: movie.original_language,
-        type: 'movie'
-      }));
+      return (response.data.results || response.data.items || [])
+        .filter(movie => !movie.media_type || movie.media_type === 'movie')
+        .map(movie => this.mapMovie(movie));
     } catch (error) {
-      console.error('Error fetching popular movies:', error.message);
+      console.error(`Error fetching movies from ${endpoint}:`, error.message);
       return [];
     }
   }
 
+  mapMovie(movie) {
+    return {
+      id: movie.id,
+      title: movie.title,
+      originalTitle: movie.original_title,
+      year: movie.release_date ? new Date(movie.release_date).getFullYear() : null,
+      releaseDate: movie.release_date,
+      poster: movie.poster_path ? `${this.imageBaseUrl}/w500${movie.poster_path}` : null,
+      backdrop: movie.backdrop_path ? `${this.imageBaseUrl}/original${movie.backdrop_path}` : null,
+      description: movie.overview || 'No description available',
+      rating: movie.vote_average,
+      voteCount: movie.vote_count,
+      popularity: movie.popularity,
+      genreIds: movie.genre_ids,
+      adult: movie.adult,
+      language: movie.original_language,
+      type: 'movie'
+    };
+  }
+
   async getTVSeries(page = 1) {
     try {
       const url = `${this.baseUrl}/tv/popular?api_key=${this.apiKey}&page=${page}&language=en-US`;
@@ -67,33 +168,96 @@ class TMDBProvider {
     }
   }
 
-  async getMovieDetails(movieId) {
+  // One movie in the shape of the list endpoints, or null for an unknown id
+  async getMovie(movieId) {
     try {
-      const url = `${this.baseUrl}/movie/${movieId}?api_key=${this.apiKey}&append_to_response=credits,videos`;
+      const url = `${this.baseUrl}/movie/${encodeURIComponent(movieId)}?api_key=${this.apiKey}&language=en-US`;
       const response = await axios.get(url);
       const movie = response.data;
       
-      return {
-        runtime: movie.runtime,
-        budget: movie.budget,
-        revenue: movie.revenue,
-        genres: movie.genres ? movie.genres.map(g => g.name).join('|') : '',
-        director: movie.credits?.crew?.find(c => c.job === 'Director')?.name || 'Unknown',
-        cast: movie.credits?.cast?.slice(0, 5).map(c => c.name).join(', ') || '',
-        productionCompanies: movie.production_companies?.map(c => c.name).join(', ') || '',
-        spokenLanguages: movie.spoken_languages?.map(l => l.english_name).join(', ') || '',
-        trailer: this.getTrailerUrl(movie.videos?.results)
-      };
+      return this.mapMovie({ ...movie, genre_ids: (movie.genres || []).map(genre => genre.id) });
+    } catch (error) {
+      if (error.response && error.response.status === 404) return null;
+      throw error;
+    }
+  }
+
+  // Null when TMDB fails and nothing was fetched before; stale details beat
+  // placeholders that would overwrite what the library already knows
+  async getMovieDetails(movieId) {
+    const cached = this.detailsCache.get(movieId.toString());
+    if (cached && Date.now() - cached.fetchedAt < this.detailsTTL) {
+      return cached.details;
+    }
+    
+    try {
+      const details = await this.fetchMovieDetails(movieId);
+      this.detailsCache.set(movieId.toString(), { details, fetchedAt: Date.now() });
+      return details;
     } catch (error) {
       console.error(`Error fetching movie details for ID ${movieId}:`, error.message);
+      return cached ? cached.details : null;
+    }
+  }
+
+  async fetchMovieDetails(movieId) {
+    const url = `${this.baseUrl}/movie/${movieId}?api_key=${this.apiKey}&append_to_response=credits,videos`;
+    const response = await axios.get(url);
+    const movie = response.data;
+    
+    return {
+      runtime: movie.runtime,
+      budget: movie.budget,
+      revenue: movie.revenue,
+      genres: movie.genres ? movie.genres.map(g => g.name).join('|') : '',
+      director: movie.credits?.crew?.find(c => c.job === 'Director')?.name || 'Unknown',
+      cast: movie.credits?.cast?.slice(0, 5).map(c => c.name).join(', ') || '',
+      productionCompanies: movie.production_companies?.map(c => c.name).join(', ') || '',
+      spokenLanguages: movie.spoken_languages?.map(l => l.english_name).join(', ') || '',
+      trailer: this.getTrailerUrl(movie.videos?.results)
+    };
+  }
+
+  // A library movie merged with its details, fetched on demand when the
+  // refresh has not enriched it yet
+  async withMovieDetails(movie) {
+    if (movie.director) return movie;
+    return { ...movie, ...(await this.getMovieDetails(movie.id)) };
+  }
+
+  // Seed the details cache from a persisted library item so restarts don't refetch
+  primeDetailsCache(movie) {
+    if (!movie.detailsFetchedAt) return;
+    
+    const fields = ['runtime', 'budget', 'revenue', 'genres', 'director', 'cast',
+      'productionCompanies', 'spokenLanguages', 'trailer'];
+    const details = {};
+    fields.forEach(field => {
+      details[field] = movie[field];
+    });
+    
+    this.detailsCache.set(movie.id.toString(), { details, fetchedAt: movie.detailsFetchedAt });
+  }
+
+  getCachedDetailsTimestamp(movieId) {
+    const cached = this.detailsCache.get(movieId.toString());
+    return cached ? cached.fetchedAt : null;
+  }
+
+  // Merge full movie details into list results, a few requests at a time
+  async enrichMovies(movies) {
+    return mapWithConcurrency(movies, this.enrichConcurrency, async movie => {
+      if (movie.type !== 'movie') return movie;
+      
+      const details = await this.getMovieDetails(movie.id);
+      if (!details) return movie;
+      
       return {
-        runtime: null,
-        genres: '',
-        director: 'Unknown',
-        cast: '',
-        trailer: null
+        ...movie,
+        ...details,
+        detailsFetchedAt: this.getCachedDetailsTimestamp(movie.id)
       };
-    }
+    });
   }
 
   async getTVDetails(seriesId) {
@@ -111,6 +275,15 @@ class TMDBProvider {
         cast: series.credits?.cast?.slice(0, 5).map(c => c.name).join(', ') || '',
         networks: series.networks?.map(n => n.name).join(', ') || '',
         status: series.status,
+        seasons: series.seasons
+          ?.filter(season => season.season_number > 0)
+          .map(season => ({
+            seasonNumber: season.season_number,
+            name: season.name,
+            episodeCount: season.episode_count,
+            airDate: season.air_date,
+            poster: season.poster_path ? `${this.imageBaseUrl}/w500${season.poster_path}` : null
+          })) || [],
         trailer: this.getTrailerUrl(series.videos?.results)
       };
     } catch (error) {
@@ -121,11 +294,43 @@ class TMDBProvider {
         episodeRunTime: null,
         genres: '',
         creator: 'Unknown',
-        cast: ''
+        cast: '',
+        seasons: []
       };
     }
   }
 
+  async getTVSeasonDetails(seriesId, seasonNumber) {
+    try {
+      const url = `${this.baseUrl}/tv/${seriesId}/season/${seasonNumber}?api_key=${this.apiKey}&language=en-US`;
+      const response = await axios.get(url);
+      const today = new Date().toISOString().substring(0, 10);
+      
+      // Only episodes that have already aired can have torrents
+      return (response.data.episodes || [])
+        .filter(episode => episode.air_date && episode.air_date <= today)
+        .map(episode => ({
+          episodeNumber: episode.episode_number,
+          seasonNumber: episode.season_number,
+          title: episode.name,
+          description: episode.overview || 'No description available',
+          airDate: episode.air_date,
+          still: episode.still_path ? `${this.imageBaseUrl}/w300${episode.still_path}` : null,
+          runtime: episode.runtime || null,
+          rating: episode.vote_average
+        }));
+    } catch (error) {
+      console.error(`Error fetching season ${seasonNumber} for series ID ${seriesId}:`, error.message);
+      return [];
+    }
+  }
+
+  // The YouTube video id in a getTrailerUrl() URL, or null
+  getYoutubeKey(trailerUrl) {
+    const match = trailerUrl && trailerUrl.match(/[?&]v=([^&]+)/);
+    return match ? match[1] : null;
+  }
+
   getTrailerUrl(videos) {
     if (!videos || videos.length === 0) return null;
     
@@ -145,15 +350,7 @@ class TMDBProvider {
       }
       
       const response = await axios.get(url);
-      return response.data.results.map(movie => ({
-        id: movie.id,
-        title: movie.title,
-        year: movie.release_date ? new Date(movie.release_date).getFullYear() : null,
-        poster: movie.poster_path ? `${this.imageBaseUrl}/w500${movie.poster_path}` : null,
-        description: movie.overview || 'No description available',
-        rating: movie.vote_average,
-        type: 'movie'
-      }));
+      return response.data.results.map(movie => this.mapMovie(movie));
     } catch (error) {
       console.error('Error searching movies:', error.message);
       return [];
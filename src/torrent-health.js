@@ -0,0 +1,72 @@
+const TrackerScraper = require('./tracker-scraper');
+
+// Re-validates stored torrents against their trackers. Results are written to
+// torrent.health and the scraped counts replace the ones from the search page.
+class TorrentHealthChecker {
+  constructor(scraper = new TrackerScraper()) {
+    this.scraper = scraper;
+    this.minSeeders = parseInt(process.env.HEALTH_MIN_SEEDERS) || 1;
+  }
+
+  // The same torrent object can be stored more than once (profile variants,
+  // episodes sharing a pack), so each magnet is scraped once and applied to all
+  async checkAll(torrents) {
+    const byMagnet = new Map();
+    torrents.filter(Boolean).forEach(torrent => {
+      if (!byMagnet.has(torrent.magnetLink)) {
+        byMagnet.set(torrent.magnetLink, []);
+      }
+      byMagnet.get(torrent.magnetLink).push(torrent);
+    });
+
+    for (const [magnetLink, copies] of byMagnet.entries()) {
+      const health = await this.getHealth(magnetLink, copies[0]);
+      copies.forEach(torrent => this.apply(torrent, health));
+    }
+  }
+
+  async check(torrent) {
+    const health = await this.getHealth(torrent.magnetLink, torrent);
+    this.apply(torrent, health);
+    return health;
+  }
+
+  async getHealth(magnetLink, torrent) {
+    const result = await this.scraper.scrape(magnetLink);
+    const checkedAt = Date.now();
+
+    // No tracker answered: keep the last known counts
+    if (!result) {
+      return {
+        status: 'unknown',
+        seeders: torrent.seeders || 0,
+        leechers: torrent.leechers || 0,
+        tracker: null,
+        checkedAt
+      };
+    }
+
+    return {
+      status: result.seeders >= this.minSeeders ? 'healthy' : 'dead',
+      seeders: result.seeders,
+      leechers: result.leechers,
+      completed: result.completed,
+      tracker: result.tracker,
+      checkedAt
+    };
+  }
+
+  apply(torrent, health) {
+    torrent.health = health;
+    if (health.status !== 'unknown') {
+      torrent.seeders = health.seeders;
+      torrent.leechers = health.leechers;
+    }
+  }
+
+  isDead(torrent) {
+    return !!(torrent && torrent.health && torrent.health.status === 'dead');
+  }
+}
+
+module.exports = TorrentHealthChecker;
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keeps TorrentStreamer.activeTorrents bounded: idle torrents are destroyed,
+// the number of concurrent torrents is capped, and downloaded data is kept
+// on disk (one directory per info hash) until the disk budget forces the
+// least recently used title out.
+class TorrentLifecycleManager {
+  constructor(streamer) {
+    this.streamer = streamer;
+    this.downloadDir = path.resolve(process.env.TORRENT_DOWNLOAD_DIR || './data/torrents');
+    this.idleTimeout = (parseInt(process.env.TORRENT_IDLE_MINUTES) || 30) * 60 * 1000;
+    this.maxActive = parseInt(process.env.TORRENT_MAX_ACTIVE) || 5;
+    this.diskBudget = (parseFloat(process.env.TORRENT_DISK_BUDGET_GB) || 50) * 1024 * 1024 * 1024;
+    this.lastAccess = new Map();
+    this.holds = new Map();
+
+    fs.mkdirSync(this.downloadDir, { recursive: true });
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => console.error('Torrent sweep failed:', error.message));
+    }, 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  getTorrentPath(torrentId) {
+    return path.join(this.downloadDir, torrentId);
+  }
+
+  touch(torrentId) {
+    this.lastAccess.set(torrentId, Date.now());
+  }
+
+  // Keeps a torrent from being evicted while a reader that is not in
+  // streamingClients uses it. Returns the function that lets go again.
+  hold(torrentId) {
+    this.holds.set(torrentId, (this.holds.get(torrentId) || 0) + 1);
+    let held = true;
+
+    return () => {
+      if (!held) return;
+      held = false;
+
+      const count = this.holds.get(torrentId) - 1;
+      if (count > 0) {
+        this.holds.set(torrentId, count);
+      } else {
+        this.holds.delete(torrentId);
+      }
+      this.touch(torrentId);
+    };
+  }
+
+  isStreaming(torrentId) {
+    if (this.holds.has(torrentId)) return true;
+    for (const client of this.streamer.streamingClients.values()) {
+      if (client.torrentId === torrentId) return true;
+    }
+    return false;
+  }
+
+  isIdle(torrentId, now = Date.now()) {
+    if (this.isStreaming(torrentId)) return false;
+    return now - (this.lastAccess.get(torrentId) || 0) >= this.idleTimeout;
+  }
+
+  // Called before a new torrent is added; frees a slot or refuses. Adds still
+  // waiting for metadata hold a slot too.
+  async reserveSlot() {
+    if (this.streamer.activeTorrents.size + this.streamer.pendingTorrents.size < this.maxActive) return;
+
+    const candidates = Array.from(this.streamer.activeTorrents.keys())
+      .filter(torrentId => !this.isStreaming(torrentId))
+      .sort((a, b) => (this.lastAccess.get(a) || 0) - (this.lastAccess.get(b) || 0));
+
+    if (candidates.length === 0) {
+      throw new Error(`All ${this.maxActive} torrent slots are in use`);
+    }
+
+    console.log(`Torrent limit reached, evicting least recently used: ${candidates[0]}`);
+    await this.release(candidates[0]);
+  }
+
+  // Destroys the torrent but keeps its pieces on disk so a re-watch resumes
+  async release(torrentId) {
+    const torrent = this.streamer.activeTorrents.get(torrentId);
+    this.streamer.activeTorrents.delete(torrentId);
+    this.lastAccess.delete(torrentId);
+
+    if (torrent) {
+      await new Promise(resolve => torrent.destroy(resolve));
+      console.log(`Released torrent: ${torrentId}`);
+    }
+
+    // Directory mtime is the LRU timestamp for inactive downloads
+    const now = new Date();
+    await fs.promises.utimes(this.getTorrentPath(torrentId), now, now).catch(() => {});
+  }
+
+  async sweep() {
+    const now = Date.now();
+
+    for (const torrentId of Array.from(this.streamer.activeTorrents.keys())) {
+      if (this.isIdle(torrentId, now)) {
+        console.log(`Torrent idle for ${Math.round(this.idleTimeout / 60000)} minutes: ${torrentId}`);
+        await this.release(torrentId);
+      }
+    }
+
+    await this.enforceDiskBudget();
+  }
+
+  // Deletes inactive downloads, oldest first, until usage fits the budget
+  async enforceDiskBudget() {
+    const entries = await this.getDiskUsage();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (total <= this.diskBudget) return;
+
+    const inactive = entries
+      .filter(entry => !this.streamer.activeTorrents.has(entry.torrentId))
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+
+    for (const entry of inactive) {
+      if (total <= this.diskBudget) break;
+
+      console.log(`Disk budget exceeded, removing ${entry.torrentId} (${this.streamer.formatBytes(entry.size)})`);
+      await fs.promises.rm(entry.path, { recursive: true, force: true });
+      total -= entry.size;
+    }
+
+    if (total > this.diskBudget) {
+      console.warn(`Active torrents use ${this.streamer.formatBytes(total)}, above the disk budget`);
+    }
+  }
+
+  async getDiskUsage() {
+    const names = await fs.promises.readdir(this.downloadDir);
+    const entries = [];
+
+    for (const torrentId of names) {
+      const entryPath = this.getTorrentPath(torrentId);
+      const stats = await fs.promises.stat(entryPath);
+      entries.push({
+        torrentId,
+        path: entryPath,
+        size: await this.getSize(entryPath),
+        lastUsed: this.lastAccess.get(torrentId) || stats.mtimeMs
+      });
+    }
+
+    return entries;
+  }
+
+  // Allocated blocks rather than apparent size, since torrent files are sparse
+  async getSize(entryPath) {
+    const stats = await fs.promises.stat(entryPath);
+    if (!stats.isDirectory()) {
+      return stats.blocks !== undefined ? stats.blocks * 512 : stats.size;
+    }
+
+    let total = 0;
+    for (const name of await fs.promises.readdir(entryPath)) {
+      total += await this.getSize(path.join(entryPath, name));
+    }
+    return total;
+  }
+
+  getStats() {
+    return {
+      maxActive: this.maxActive,
+      idleMinutes: Math.round(this.idleTimeout / 60000),
+      diskBudget: this.streamer.formatBytes(this.diskBudget),
+      downloadDir: this.downloadDir
+    };
+  }
+
+  destroy() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+module.exports = TorrentLifecycleManager;
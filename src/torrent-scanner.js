@@ -1,58 +1,140 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
+const { loadIndexerConfig, createIndexers } = require('./indexers');
+const { matchesEpisode, formatEpisodeTag } = require('./episode-parser');
+const { parseReleaseName } = require('./release-parser');
+const { calculateMatchConfidence } = require('./title-matcher');
+const { loadQualityProfiles } = require('./quality-profiles');
 
 class TorrentScanner {
-  constructor() {
-    this.sources = [
-      new TPBScraper(),
-      new LimeTorrentsScraper(),
-      new TorrentGalaxyScraper()
-    ];
-    this.timeout = 10000; // 10 second timeout
+  constructor(indexerConfig = loadIndexerConfig(), profiles = loadQualityProfiles()) {
+    this.sources = createIndexers(indexerConfig);
+    this.profiles = profiles;
+    this.minMatchConfidence = parseFloat(process.env.MIN_MATCH_CONFIDENCE) || 0.7;
+    this.maxCandidates = parseInt(process.env.STREAM_CANDIDATES) || 3;
   }
 
-  async findBestTorrent(title, year, type = 'movie') {
-    const searchQuery = this.buildSearchQuery(title, year, type);
-    console.log(`Searching for: ${searchQuery}`);
+  // For type 'series' pass options.season, plus options.episode for a
+  // single episode; without an episode a full season pack is searched.
+  // options.originalTitle is also accepted when verifying the match, and
+  // options.profile picks the quality profile (defaults to 'default').
+  async findBestTorrent(title, year, type = 'movie', options = {}) {
+    const candidates = await this.findCandidates(title, year, type, options);
+    const profile = this.getProfile(options.profile);
+    
+    return this.pickBest(candidates, profile, title, options);
+  }
+
+  // Same search as findBestTorrent, but keeps the best candidate of every profile
+  async findBestTorrentsByProfile(title, year, type = 'movie', options = {}) {
+    const candidates = await this.findCandidates(title, year, type, options);
+    const variants = {};
+    
+    Object.values(this.profiles).forEach(profile => {
+      const best = this.pickBest(candidates, profile, title, options);
+      if (best) {
+        variants[profile.name] = best;
+      }
+    });
+    
+    return variants;
+  }
+
+  // Own properties only, so names like "constructor" are not profiles
+  hasProfile(name) {
+    return Object.hasOwn(this.profiles, name);
+  }
+
+  getProfile(name = 'default') {
+    if (!this.hasProfile(name)) {
+      throw new Error(`Unknown quality profile: ${name}`);
+    }
+    return this.profiles[name];
+  }
+
+  // Best torrent for the profile; the runners-up ride along in .fallbacks so
+  // streaming can fail over when the best one turns out to be dead
+  pickBest(candidates, profile, title, options) {
+    const allowed = candidates.filter(torrent => this.isAllowedByProfile(torrent, profile, options));
+    if (allowed.length === 0) {
+      if (candidates.length > 0) {
+        console.log(`No torrents for ${title} fit the ${profile.name} profile`);
+      }
+      return null;
+    }
     
-    // Search all sources concurrently with timeout
-    const searchPromises = this.sources.map(source => 
-      Promise.race([
-        source.search(searchQuery),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Timeout')), this.timeout)
-        )
-      ]).catch(err => {
-        console.log(`${source.name} failed: ${err.message}`);
-        return [];
+    const scoredTorrents = allowed.map(torrent => ({
+      ...torrent,
+      profile: profile.name,
+      score: this.calculateTorrentScore(torrent, options, profile)
+    }));
+    
+    // The same release is often listed by several indexers
+    const seen = new Set();
+    const ranked = scoredTorrents
+      .sort((a, b) => b.score - a.score)
+      .filter(torrent => {
+        const key = this.getInfoHash(torrent.magnetLink);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
       })
-    );
+      .slice(0, this.maxCandidates);
+    
+    const bestTorrent = { ...ranked[0], fallbacks: ranked.slice(1) };
+    console.log(`Best ${profile.name} torrent for ${title}: ${bestTorrent.title} (Score: ${bestTorrent.score}, Match: ${bestTorrent.matchConfidence}, ${bestTorrent.fallbacks.length} fallback(s))`);
+    
+    return bestTorrent;
+  }
+
+  // Valid, matching torrents for the request, parsed but not yet scored
+  async findCandidates(title, year, type, options) {
+    const searchQuery = this.buildSearchQuery(title, year, type, options);
+    console.log(`Searching for: ${searchQuery}`);
+    
+    // Search all sources concurrently, each with its own timeout
+    const searchPromises = this.sources.map(source => source.searchWithTimeout(searchQuery, type));
     
     const allResults = await Promise.all(searchPromises);
     const torrents = allResults.flat();
     
     if (torrents.length === 0) {
       console.log(`No torrents found for: ${searchQuery}`);
-      return null;
+      return [];
     }
     
-    // Filter and score torrents
-    const validTorrents = torrents.filter(this.isValidTorrent);
-    if (validTorrents.length === 0) {
-      console.log(`No valid torrents found for: ${searchQuery}`);
-      return null;
-    }
+    // Parse release names once, then filter and score torrents
+    const parsedTorrents = torrents.map(torrent => {
+      const release = parseReleaseName(torrent.title);
+      return {
+        ...torrent,
+        release,
+        matchConfidence: calculateMatchConfidence(release, {
+          title,
+          originalTitle: options.originalTitle,
+          year: type === 'movie' ? year : null
+        })
+      };
+    });
     
-    const scoredTorrents = validTorrents.map(torrent => ({
-      ...torrent,
-      score: this.calculateTorrentScore(torrent)
-    }));
+    const validTorrents = parsedTorrents.filter(torrent =>
+      this.isValidTorrent(torrent) && this.matchesRequest(torrent, type, options)
+    );
     
-    // Return best torrent
-    const bestTorrent = scoredTorrents.sort((a, b) => b.score - a.score)[0];
-    console.log(`Best torrent for ${title}: ${bestTorrent.title} (Score: ${bestTorrent.score})`);
+    // Never hand out a sequel or a same-named film from another year
+    const matchingTorrents = validTorrents.filter(torrent => torrent.matchConfidence >= this.minMatchConfidence);
+    if (matchingTorrents.length < validTorrents.length) {
+      console.log(`Rejected ${validTorrents.length - matchingTorrents.length} torrents with low match confidence for: ${searchQuery}`);
+    }
     
-    return bestTorrent;
+    if (matchingTorrents.length === 0) {
+      console.log(`No valid torrents found for: ${searchQuery}`);
+    }
+    
+    return matchingTorrents;
+  }
+
+  getInfoHash(magnetLink) {
+    const match = magnetLink.match(/xt=urn:btih:([a-zA-Z0-9]+)/);
+    return match ? match[1].toLowerCase() : magnetLink;
   }
 
   isValidTorrent(torrent) {
@@ -61,11 +143,42 @@ class TorrentScanner {
       torrent.seeders >= minSeeders &&
       torrent.magnetLink &&
       torrent.title &&
-      torrent.size > 0
+      torrent.size > 0 &&
+      !(torrent.release || parseReleaseName(torrent.title)).lowQuality // CAM/TS/TC are never worth streaming
     );
   }
 
-  calculateTorrentScore(torrent) {
+  matchesRequest(torrent, type, options) {
+    if (type !== 'series') return true;
+    
+    const { release } = torrent;
+    if (options.episode) {
+      return matchesEpisode(release, options.season, options.episode);
+    }
+    
+    // Season packs carry the season tag without an episode number
+    return release.season === options.season && release.episode === null;
+  }
+
+  isAllowedByProfile(torrent, profile, options = {}) {
+    const { release } = torrent;
+    const sizeGB = this.getFileSizeGB(torrent, options);
+    
+    if (torrent.seeders < (profile.minSeeders || 0)) return false;
+    if (profile.allowedResolutions && !profile.allowedResolutions.includes(release.resolution)) return false;
+    if (profile.minSizeGB && sizeGB < profile.minSizeGB) return false;
+    if (profile.maxSizeGB && sizeGB > profile.maxSizeGB) return false;
+    
+    return true;
+  }
+
+  // Size of a single video file, judged per episode for season packs
+  getFileSizeGB(torrent, options = {}) {
+    const fileCount = options.season && !options.episode ? (options.episodeCount || 10) : 1;
+    return torrent.size / fileCount / (1024 * 1024 * 1024);
+  }
+
+  calculateTorrentScore(torrent, options = {}, profile = this.profiles.default) {
     let score = 0;
     
     // Seeders (most important factor - 40% of score)
@@ -75,31 +188,41 @@ class TorrentScanner {
     const healthRatio = torrent.seeders / (torrent.leechers + 1);
     score += Math.min(healthRatio * 10, 20);
     
-    // Quality scoring (30% of score)
-    const title = torrent.title.toLowerCase();
-    if (title.includes('2160p') || title.includes('4k')) score += 25;
-    else if (title.includes('1080p')) score += 20;
-    else if (title.includes('720p')) score += 15;
-    else if (title.includes('480p')) score += 5;
+    // Quality scoring (30% of score), ranked by the profile's preferences
+    const release = torrent.release || parseReleaseName(torrent.title);
+    const resolutionRank = profile.preferredResolutions.indexOf(release.resolution);
+    if (resolutionRank !== -1) score += Math.max(25 - resolutionRank * 5, 5);
     
-    // Size optimization (avoid too small/large files)
-    const sizeGB = torrent.size / (1024 * 1024 * 1024);
-    if (sizeGB >= 1 && sizeGB <= 10) score += 15; // Good size range
+    // Source type
+    const sourceScores = { 'BluRay': 10, 'WEB-DL': 8, 'WEBRip': 6, 'HDTV': 3 };
+    score += sourceScores[release.source] || 0;
+    
+    // Size optimization (avoid too small/large files); a profile with its own
+    // size range has already filtered out everything outside it
+    const sizeGB = this.getFileSizeGB(torrent, options);
+    if (profile.minSizeGB || profile.maxSizeGB) score += 15;
+    else if (sizeGB >= 1 && sizeGB <= 10) score += 15; // Good size range
     else if (sizeGB >= 10 && sizeGB <= 20) score += 10; // Acceptable
     else if (sizeGB < 0.5) score -= 20; // Too small (likely fake)
     else if (sizeGB > 50) score -= 15; // Too large
     
     // Release group quality
     const goodGroups = ['yify', 'rarbg', 'fgt', 'sparks', 'cmrg', 'yts', 'eztv'];
-    if (goodGroups.some(group => title.includes(group))) score += 10;
+    const group = (release.releaseGroup || '').toLowerCase();
+    if (goodGroups.some(good => group.startsWith(good))) score += 10;
     
     // Codec preferences
-    if (title.includes('x264') || title.includes('h264')) score += 5;
-    if (title.includes('x265') || title.includes('h265')) score += 8;
+    const codecRank = profile.preferredCodecs.indexOf(release.videoCodec);
+    if (codecRank !== -1) score += Math.max(8 - codecRank * 3, 2);
+    
+    // HDR / Dolby Vision
+    const isHDR = release.hdr || release.dolbyVision;
+    if (profile.hdr === 'prefer' && isHDR) score += 10;
+    if (profile.hdr === 'avoid' && isHDR) score -= 15;
     
     // Audio quality
-    if (title.includes('5.1') || title.includes('7.1')) score += 5;
-    if (title.includes('atmos')) score += 8;
+    if (release.audioChannels === '5.1' || release.audioChannels === '7.1') score += 5;
+    if (release.audioCodec === 'Atmos') score += 8;
     
     // Verified uploader bonus
     if (torrent.verified) score += 10;
@@ -113,7 +236,7 @@ class TorrentScanner {
     return Math.max(score, 0);
   }
 
-  buildSearchQuery(title, year, type) {
+  buildSearchQuery(title, year, type, options = {}) {
     // Clean title for better search results
     let cleanTitle = title
       .replace(/[^\w\s-]/g, '')
@@ -126,212 +249,12 @@ class TorrentScanner {
       .filter(word => !stopWords.includes(word.toLowerCase()) || cleanTitle.split(' ').length <= 3)
       .join(' ');
     
-    return year ? `${cleanTitle} ${year}` : cleanTitle;
-  }
-}
-
-// The Pirate Bay Scraper
-class TPBScraper {
-  constructor() {
-    this.name = 'ThePirateBay';
-    this.baseUrl = 'https://thepiratebay.org';
-    this.searchUrl = '/search';
-  }
-
-  async search(query) {
-    try {
-      const searchUrl = `${this.baseUrl}${this.searchUrl}/${encodeURIComponent(query)}/1/99/200`;
-      const response = await axios.get(searchUrl, {
-        timeout: 8000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
-      
-      const $ = cheerio.load(response.data);
-      const torrents = [];
-      
-      $('#searchResult tr').each((index, element) => {
-        if (index === 0) return; // Skip header
-        
-        const $row = $(element);
-        const $nameCell = $row.find('td').eq(1);
-        const $seedCell = $row.find('td').eq(2);
-        const $leechCell = $row.find('td').eq(3);
-        
-        const title = $nameCell.find('a').first().text().trim();
-        const magnetLink = $nameCell.find('a[href^="magnet:"]').attr('href');
-        const seeders = parseInt($seedCell.text()) || 0;
-        const leechers = parseInt($leechCell.text()) || 0;
-        
-        if (title && magnetLink && seeders > 0) {
-          torrents.push({
-            title,
-            magnetLink,
-            seeders,
-            leechers,
-            size: this.extractSize($nameCell.text()),
-            source: this.name,
-            verified: $nameCell.find('img[title*="VIP"]').length > 0
-          });
-        }
-      });
-      
-      return torrents;
-    } catch (error) {
-      console.error(`${this.name} search error:`, error.message);
-      return [];
-    }
-  }
-
-  extractSize(text) {
-    const sizeMatch = text.match(/Size (\d+(?:\.\d+)?)\s*(GB|MB|KB)/i);
-    if (!sizeMatch) return 0;
-    
-    const size = parseFloat(sizeMatch[1]);
-    const unit = sizeMatch[2].toLowerCase();
-    
-    switch (unit) {
-      case 'gb': return size * 1024 * 1024 * 1024;
-      case 'mb': return size * 1024 * 1024;
-      case 'kb': return size * 1024;
-      default: return size;
-    }
-  }
-}
-
-// LimeTorrents Scraper
-class LimeTorrentsScraper {
-  constructor() {
-    this.name = 'LimeTorrents';
-    this.baseUrl = 'https://www.limetorrents.pro';
-  }
-
-  async search(query) {
-    try {
-      const searchUrl = `${this.baseUrl}/search/all/${encodeURIComponent(query)}/`;
-      const response = await axios.get(searchUrl, {
-        timeout: 8000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
-      
-      const $ = cheerio.load(response.data);
-      const torrents = [];
-      
-      $('.table2 tr').each((index, element) => {
-        if (index === 0) return; // Skip header
-        
-        const $row = $(element);
-        const $cells = $row.find('td');
-        
-        if ($cells.length >= 5) {
-          const title = $cells.eq(0).find('a').first().text().trim();
-          const magnetLink = $cells.eq(0).find('a[href^="magnet:"]').attr('href');
-          const sizeText = $cells.eq(2).text().trim();
-          const seeders = parseInt($cells.eq(3).text()) || 0;
-          const leechers = parseInt($cells.eq(4).text()) || 0;
-          
-          if (title && magnetLink && seeders > 0) {
-            torrents.push({
-              title,
-              magnetLink,
-              seeders,
-              leechers,
-              size: this.parseSize(sizeText),
-              source: this.name,
-              verified: false
-            });
-          }
-        }
-      });
-      
-      return torrents;
-    } catch (error) {
-      console.error(`${this.name} search error:`, error.message);
-      return [];
-    }
-  }
-
-  parseSize(sizeText) {
-    const match = sizeText.match(/(\d+(?:\.\d+)?)\s*(GB|MB|KB)/i);
-    if (!match) return 0;
-    
-    const size = parseFloat(match[1]);
-    const unit = match[2].toLowerCase();
-    
-    switch (unit) {
-      case 'gb': return size * 1024 * 1024 * 1024;
-      case 'mb': return size * 1024 * 1024;
-      case 'kb': return size * 1024;
-      default: return size;
-    }
-  }
-}
-
-// TorrentGalaxy Scraper
-class TorrentGalaxyScraper {
-  constructor() {
-    this.name = 'TorrentGalaxy';
-    this.baseUrl = 'https://torrentgalaxy.to';
-  }
-
-  async search(query) {
-    try {
-      const searchUrl = `${this.baseUrl}/torrents.php?search=${encodeURIComponent(query)}`;
-      const response = await axios.get(searchUrl, {
-        timeout: 8000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
-      
-      const $ = cheerio.load(response.data);
-      const torrents = [];
-      
-      $('.tgxtablerow').each((index, element) => {
-        const $row = $(element);
-        
-        const title = $row.find('.txlight a').first().text().trim();
-        const magnetLink = $row.find('a[href^="magnet:"]').attr('href');
-        const sizeText = $row.find('.txlight').eq(3).text().trim();
-        const seeders = parseInt($row.find('.txlight').eq(4).text()) || 0;
-        const leechers = parseInt($row.find('.txlight').eq(5).text()) || 0;
-        
-        if (title && magnetLink && seeders > 0) {
-          torrents.push({
-            title,
-            magnetLink,
-            seeders,
-            leechers,
-            size: this.parseSize(sizeText),
-            source: this.name,
-            verified: $row.find('.txlight img[alt*="VIP"]').length > 0
-          });
-        }
-      });
-      
-      return torrents;
-    } catch (error) {
-      console.error(`${this.name} search error:`, error.message);
-      return [];
-    }
-  }
-
-  parseSize(sizeText) {
-    const match = sizeText.match(/(\d+(?:\.\d+)?)\s*(GB|MB|KB)/i);
-    if (!match) return 0;
-    
-    const size = parseFloat(match[1]);
-    const unit = match[2].toLowerCase();
-    
-    switch (unit) {
-      case 'gb': return size * 1024 * 1024 * 1024;
-      case 'mb': return size * 1024 * 1024;
-      case 'kb': return size * 1024;
-      default: return size;
+    // Release names for series carry SxxEyy tags rather than the year
+    if (type === 'series' && options.season) {
+      return `${cleanTitle} ${formatEpisodeTag(options.season, options.episode)}`;
     }
+    
+    return year ? `${cleanTitle} ${year}` : cleanTitle;
   }
 }
 
@@ -1,7 +1,19 @@
-class TorrentStreamer {
+const { EventEmitter } = require('events');
+const { parseEpisode, matchesEpisode } = require('./episode-parser');
+const { isSubtitleFile, parseSubtitleLanguage, getLanguageLabel } = require('./subtitles');
+const TorrentLifecycleManager = require('./torrent-lifecycle');
+
+// Emits 'streamEnd' with the client record whenever a tracked stream finishes
+class TorrentStreamer extends EventEmitter {
   constructor() {
+    super();
     this.activeTorrents = new Map();
     this.streamingClients = new Map();
+    this.pendingTorrents = new Map();
+    this.streamCounter = 0;
+    this.metadataTimeout = (parseInt(process.env.STREAM_METADATA_TIMEOUT) || 20) * 1000;
+    this.firstPieceTimeout = (parseInt(process.env.STREAM_FIRST_PIECE_TIMEOUT) || 20) * 1000;
+    this.lifecycle = new TorrentLifecycleManager(this);
     
     // Try to import WebTorrent dynamically
     this.initWebTorrent();
@@ -20,43 +32,167 @@ class TorrentStreamer {
     }
   }
 
-  async streamTorrent(torrentInfo, res) {
+  // episode is { season, episode } when streaming one file out of a season pack;
+  // source ({ id, title }) labels the stream in the admin stats.
+  // torrentInfo.fallbacks are tried in order when a torrent misses its deadline.
+  // Resolves to { torrent, failed } with the candidate that streamed (or null)
+  // and the ones that failed, whose failure counts have been bumped.
+  async streamTorrent(torrentInfo, res, episode = null, source = {}) {
+    const failed = [];
+    
     try {
       // If WebTorrent is not available, redirect to magnet link
       if (!this.client) {
-        return this.fallbackStream(torrentInfo, res);
+        this.fallbackStream(torrentInfo, res);
+        return null;
       }
 
-      const magnetLink = torrentInfo.magnetLink;
-      const torrentId = this.getTorrentId(magnetLink);
-      
-      console.log(`Starting stream for torrent: ${torrentId}`);
-      
-      // Check if torrent is already being downloaded
-      let torrent = this.activeTorrents.get(torrentId);
-      
-      if (!torrent) {
-        // Add new torrent
-        torrent = await this.addTorrent(magnetLink);
-        this.activeTorrents.set(torrentId, torrent);
-      }
+      const candidates = [torrentInfo, ...(torrentInfo.fallbacks || [])];
       
-      // Find the largest video file
-      const videoFile = this.findVideoFile(torrent);
-      
-      if (!videoFile) {
-        throw new Error('No video file found in torrent');
+      for (const candidate of candidates) {
+        // Nobody is waiting any more, so don't blame the remaining candidates
+        if (res.destroyed) {
+          return { torrent: null, failed };
+        }
+        
+        try {
+          const { videoFile, torrent, torrentId } = await this.prepareCandidate(candidate, episode, res.req);
+          
+          console.log(`Streaming file: ${videoFile.name}`);
+          candidate.failures = 0;
+          
+          // Set up streaming response
+          this.setupStreamResponse(videoFile, res, torrentId, torrent, source);
+          return { torrent: candidate, failed };
+        } catch (error) {
+          console.warn(`Torrent candidate failed (${candidate.title || candidate.magnetLink}): ${error.message}`);
+          candidate.failures = (candidate.failures || 0) + 1;
+          candidate.lastFailureAt = Date.now();
+          failed.push(candidate);
+        }
       }
       
-      console.log(`Streaming file: ${videoFile.name}`);
-      
-      // Set up streaming response
-      this.setupStreamResponse(videoFile, res, torrentId);
-      
+      res.status(503).json({ error: 'No working torrent available', tried: candidates.length });
+      return { torrent: null, failed };
     } catch (error) {
       console.error('Torrent streaming error:', error);
       res.status(500).json({ error: 'Failed to stream torrent' });
+      return { torrent: null, failed };
+    }
+  }
+
+  // Metadata must arrive within metadataTimeout (see addTorrent) and the piece
+  // under the requested offset within firstPieceTimeout
+  async prepareCandidate(torrentInfo, episode, req) {
+    const { videoFile, torrent, torrentId } = await this.getVideoFile(torrentInfo, episode);
+    
+    // HEAD only needs the file size
+    if (req.method === 'HEAD') {
+      return { videoFile, torrent, torrentId };
+    }
+    
+    try {
+      await this.waitForPiece(torrent, videoFile, this.getRequestedOffset(req, videoFile.length));
+    } catch (error) {
+      if (!this.lifecycle.isStreaming(torrentId)) {
+        await this.lifecycle.release(torrentId);
+      }
+      throw error;
+    }
+    
+    return { videoFile, torrent, torrentId };
+  }
+
+  // Start of the first requested range, or 0
+  getRequestedOffset(req, fileSize) {
+    const match = (req.headers.range || '').match(/bytes=\s*(\d*)-(\d*)/);
+    if (!match) return 0;
+    
+    const offset = match[1] !== '' ? parseInt(match[1], 10) : fileSize - parseInt(match[2] || '0', 10);
+    return Math.min(Math.max(offset, 0), Math.max(fileSize - 1, 0));
+  }
+
+  waitForPiece(torrent, file, offset) {
+    const piece = Math.floor((file.offset + offset) / torrent.pieceLength);
+    if (torrent.bitfield.get(piece)) {
+      return Promise.resolve();
+    }
+    
+    // Ask for it ahead of everything else the sequential strategy wants
+    torrent.critical(piece, piece);
+    
+    return new Promise((resolve, reject) => {
+      const onVerified = index => {
+        if (index === piece) {
+          cleanup();
+          resolve();
+        }
+      };
+      const onClose = () => {
+        cleanup();
+        reject(new Error('Torrent was closed'));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`No data within ${this.firstPieceTimeout / 1000}s (${torrent.numPeers} peers)`));
+      }, this.firstPieceTimeout);
+      const cleanup = () => {
+        clearTimeout(timer);
+        torrent.removeListener('verified', onVerified);
+        torrent.removeListener('close', onClose);
+      };
+      
+      torrent.on('verified', onVerified);
+      torrent.once('close', onClose);
+    });
+  }
+
+  // Adds the torrent if needed and returns the file to play from it
+  async getVideoFile(torrentInfo, episode = null) {
+    if (!this.client) {
+      throw new Error('WebTorrent client not available');
+    }
+
+    const magnetLink = torrentInfo.magnetLink;
+    const torrentId = this.getTorrentId(magnetLink);
+    
+    console.log(`Starting stream for torrent: ${torrentId}`);
+    
+    // Check if torrent is already being downloaded
+    let torrent = this.activeTorrents.get(torrentId);
+    
+    if (!torrent) {
+      // Players fire several range requests at once; they share a single add
+      if (!this.pendingTorrents.has(torrentId)) {
+        const pending = this.lifecycle.reserveSlot()
+          .then(() => this.addTorrent(magnetLink, episode))
+          .then(added => {
+            this.activeTorrents.set(torrentId, added);
+            return added;
+          })
+          .finally(() => this.pendingTorrents.delete(torrentId));
+        this.pendingTorrents.set(torrentId, pending);
+      }
+      torrent = await this.pendingTorrents.get(torrentId);
+    }
+    
+    this.lifecycle.touch(torrentId);
+    
+    // Find the requested episode, or the largest video file
+    const videoFile = this.findVideoFile(torrent, episode);
+    
+    if (!videoFile) {
+      // Nothing here will ever play, so don't let it hold a slot until it idles out
+      if (!this.lifecycle.isStreaming(torrentId)) {
+        await this.lifecycle.release(torrentId);
+      }
+      throw new Error('No video file found in torrent');
     }
+    
+    // A shared season pack may have been added for a different episode
+    videoFile.select();
+    
+    return { videoFile, torrent, torrentId };
   }
 
   fallbackStream(torrentInfo, res) {
@@ -71,15 +207,17 @@ class TorrentStreamer {
     });
   }
 
-  addTorrent(magnetLink) {
+  addTorrent(magnetLink, episode = null) {
     return new Promise((resolve, reject) => {
       if (!this.client) {
         reject(new Error('WebTorrent client not available'));
         return;
       }
 
+      // Pieces from an earlier session in the same directory are verified and reused
       const torrent = this.client.add(magnetLink, {
-        strategy: 'sequential'
+        strategy: 'sequential',
+        path: this.lifecycle.getTorrentPath(this.getTorrentId(magnetLink))
       });
       
       torrent.on('ready', () => {
@@ -87,13 +225,15 @@ class TorrentStreamer {
         console.log(`Files: ${torrent.files.length}`);
         console.log(`Size: ${this.formatBytes(torrent.length)}`);
         
-        // Prioritize the largest video file
-        const videoFile = this.findVideoFile(torrent);
+        // Prioritize the requested video file and its subtitles
+        const videoFile = this.findVideoFile(torrent, episode);
         if (videoFile) {
+          const subtitleFiles = this.findSubtitleFiles(torrent, episode);
           videoFile.select();
+          subtitleFiles.forEach(file => file.select());
           // Deselect other files to save bandwidth
           torrent.files.forEach(file => {
-            if (file !== videoFile) {
+            if (file !== videoFile && !subtitleFiles.includes(file)) {
               file.deselect();
             }
           });
@@ -111,13 +251,13 @@ class TorrentStreamer {
       setTimeout(() => {
         if (!torrent.ready) {
           torrent.destroy();
-          reject(new Error('Torrent loading timeout'));
+          reject(new Error(`No metadata within ${this.metadataTimeout / 1000}s`));
         }
-      }, 30000);
+      }, this.metadataTimeout);
     });
   }
 
-  findVideoFile(torrent) {
+  findVideoFile(torrent, episode = null) {
     const videoExtensions = ['.mp4', '.avi', '.mkv', '.mov', '.wmv', '.flv', '.webm', '.m4v'];
     
     // Find all video files
@@ -130,87 +270,294 @@ class TorrentStreamer {
       return null;
     }
     
-    // Return the largest video file
-    return videoFiles.reduce((largest, current) => {
+    if (episode) {
+      const episodeFiles = videoFiles.filter(file => this.isEpisodeFile(file, episode));
+      if (episodeFiles.length === 0) {
+        return null;
+      }
+      return this.findLargestFile(episodeFiles);
+    }
+    
+    return this.findLargestFile(videoFiles);
+  }
+
+  isEpisodeFile(file, episode) {
+    const parsed = parseEpisode(file.name);
+    
+    // Packs sometimes name files "E02.mkv" inside a "Season 1" folder
+    if (parsed.season === null) {
+      const fromPath = parseEpisode(file.path);
+      parsed.season = fromPath.season;
+      if (parsed.episode === null) {
+        const episodeMatch = file.name.match(/\bE(?:p(?:isode)?)?[ ._-]?(\d{1,3})\b/i);
+        if (episodeMatch) {
+          parsed.episode = parseInt(episodeMatch[1], 10);
+          parsed.episodeEnd = parsed.episode;
+        }
+      }
+    }
+    
+    return matchesEpisode(parsed, episode.season, episode.episode);
+  }
+
+  // Subtitle files in the torrent; in season packs only the episode's own
+  findSubtitleFiles(torrent, episode = null) {
+    return torrent.files.filter(file => {
+      if (!isSubtitleFile(file.name)) return false;
+      if (!episode) return true;
+      
+      const parsed = parseEpisode(file.path);
+      return parsed.episode === null || this.isEpisodeFile(file, episode);
+    });
+  }
+
+  // Subtitle tracks with a unique key per language, e.g. "en", "en-forced", "en-2"
+  async getSubtitleTracks(torrentInfo, episode = null) {
+    const { torrent, torrentId } = await this.getVideoFile(torrentInfo, episode);
+    const tracks = [];
+    const usedKeys = new Set();
+    
+    this.findSubtitleFiles(torrent, episode).forEach(file => {
+      const { language, forced, sdh } = parseSubtitleLanguage(file.path);
+      let key = [language, forced && 'forced', sdh && 'sdh'].filter(Boolean).join('-');
+      for (let n = 2; usedKeys.has(key); n++) {
+        key = `${key.replace(/-\d+$/, '')}-${n}`;
+      }
+      usedKeys.add(key);
+      
+      file.select();
+      tracks.push({ key, language, label: getLanguageLabel(language), forced, sdh, file, torrentId });
+    });
+    
+    return tracks;
+  }
+
+  // Reads a whole (small) file out of the torrent, holding the torrent so it
+  // is not evicted meanwhile. Fails when the file is not in within firstPieceTimeout.
+  readFile(file, torrentId) {
+    const release = this.lifecycle.hold(torrentId);
+    
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const stream = file.createReadStream();
+      const timer = setTimeout(() => {
+        stream.destroy();
+        reject(new Error(`${file.name} not read within ${this.firstPieceTimeout / 1000}s`));
+      }, this.firstPieceTimeout);
+      
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => {
+        clearTimeout(timer);
+        resolve(Buffer.concat(chunks));
+      });
+      stream.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    }).finally(release);
+  }
+
+  findLargestFile(files) {
+    return files.reduce((largest, current) => {
       return current.length > largest.length ? current : largest;
     });
   }
 
-  setupStreamResponse(videoFile, res, torrentId) {
+  // Range handling per RFC 7233: suffix and multi-range requests, If-Range,
+  // 416 for unsatisfiable ranges, and HEAD answered from the same headers
+  setupStreamResponse(videoFile, res, torrentId, torrent, source = {}) {
+    const req = res.req;
     const fileSize = videoFile.length;
+    const contentType = this.getContentType(videoFile.name);
+    const etag = this.getETag(torrentId, torrent, videoFile);
+    const lastModified = torrent.created ? new Date(torrent.created).toUTCString() : null;
     
-    // Set appropriate headers
-    res.setHeader('Content-Type', this.getContentType(videoFile.name));
+    res.setHeader('Content-Type', contentType);
     res.setHeader('Accept-Ranges', 'bytes');
-    res.setHeader('Content-Length', fileSize);
     res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('ETag', etag);
+    if (lastModified) {
+      res.setHeader('Last-Modified', lastModified);
+    }
     
-    // Handle range requests for video seeking
-    const range = res.req.headers.range;
+    // If-None-Match / If-Modified-Since against the headers above
+    if (req.fresh) {
+      res.status(304).end();
+      return;
+    }
     
-    if (range) {
-      const parts = range.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      const chunkSize = (end - start) + 1;
+    let ranges = null;
+    if (req.headers.range && this.isRangeFresh(req, etag, lastModified)) {
+      ranges = req.range(fileSize, { combine: true });
       
+      if (ranges === -1) {
+        res.status(416);
+        res.setHeader('Content-Range', `bytes */${fileSize}`);
+        res.end();
+        return;
+      }
+      
+      // Malformed or non-byte ranges are ignored and the full file is sent
+      if (ranges === -2 || ranges.type !== 'bytes') {
+        ranges = null;
+      }
+    }
+    
+    let parts;
+    let trailer = '';
+    
+    if (!ranges) {
+      res.status(200);
+      parts = [{ start: 0, end: fileSize - 1, header: '' }];
+    } else if (ranges.length === 1) {
+      const { start, end } = ranges[0];
       res.status(206);
       res.setHeader('Content-Range', `bytes ${start}-${end}/${fileSize}`);
-      res.setHeader('Content-Length', chunkSize);
-      
-      this.streamFileRange(videoFile, res, start, end, torrentId);
+      parts = [{ start, end, header: '' }];
     } else {
-      // Stream entire file
-      this.streamFileRange(videoFile, res, 0, fileSize - 1, torrentId);
+      const boundary = `movieproxy-${torrentId.substring(0, 8)}-${Date.now().toString(36)}`;
+      res.status(206);
+      res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+      parts = ranges.map(({ start, end }, index) => ({
+        start,
+        end,
+        header: `${index > 0 ? '\r\n' : ''}--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${fileSize}\r\n\r\n`
+      }));
+      trailer = `\r\n--${boundary}--\r\n`;
     }
+    
+    const contentLength = parts.reduce((sum, part) => {
+      return sum + Buffer.byteLength(part.header) + (part.end - part.start + 1);
+    }, Buffer.byteLength(trailer));
+    res.setHeader('Content-Length', contentLength);
+    
+    if (req.method === 'HEAD' || fileSize === 0) {
+      res.end();
+      return;
+    }
+    
+    this.streamFileRange(videoFile, res, parts, trailer, torrentId, source);
+  }
+
+  // Strong validator: the content behind an info hash never changes
+  getETag(torrentId, torrent, videoFile) {
+    return `"${torrentId}-${torrent.files.indexOf(videoFile)}-${videoFile.length}"`;
+  }
+
+  // A Range is only honoured when If-Range still matches the representation
+  isRangeFresh(req, etag, lastModified) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) return true;
+    
+    if (ifRange.includes('"')) {
+      return ifRange.trim() === etag;
+    }
+    
+    return !!lastModified && Date.parse(ifRange) === Date.parse(lastModified);
   }
 
-  streamFileRange(videoFile, res, start, end, torrentId) {
-    const streamId = `${torrentId}_${Date.now()}`;
+  // Streams each part in order; multipart bodies get their part headers and trailer
+  streamFileRange(videoFile, res, parts, trailer, torrentId, source = {}) {
+    const streamId = `${torrentId}_${Date.now()}_${this.streamCounter++}`;
+    let stream = null;
     
     // Track active stream
     this.streamingClients.set(streamId, {
       torrentId,
+      id: source.id || null,
+      userId: source.userId || null,
+      title: source.title || videoFile.name,
+      fileName: videoFile.name,
+      file: videoFile,
+      ip: res.req.ip,
+      res,
       startTime: Date.now(),
-      bytesStreamed: 0
+      bytesStreamed: 0,
+      position: parts[0].start,
+      rateWindowStart: Date.now(),
+      rateWindowBytes: 0,
+      currentRate: 0
     });
     
-    try {
-      // Create read stream
-      const stream = videoFile.createReadStream({ start, end });
+    res.on('close', () => {
+      if (this.endStream(streamId)) {
+        console.log(`Client disconnected: ${streamId}`);
+      }
+      if (stream) {
+        stream.destroy();
+      }
+    });
+    
+    const streamPart = (index) => {
+      if (index >= parts.length) {
+        console.log(`Stream completed: ${streamId}`);
+        this.endStream(streamId);
+        res.end(trailer);
+        return;
+      }
+      
+      const { start, end, header } = parts[index];
+      if (header) {
+        res.write(header);
+      }
+      
+      const client = this.streamingClients.get(streamId);
+      if (client) {
+        client.position = start;
+      }
+      
+      try {
+        stream = videoFile.createReadStream({ start, end });
+      } catch (error) {
+        console.error('Stream setup error:', error);
+        this.endStream(streamId);
+        res.destroy(error);
+        return;
+      }
       
       stream.on('data', (chunk) => {
         const client = this.streamingClients.get(streamId);
         if (client) {
           client.bytesStreamed += chunk.length;
+          client.position += chunk.length;
+          this.updateRate(client, chunk.length);
         }
+        this.lifecycle.touch(torrentId);
       });
       
       stream.on('error', (error) => {
         console.error('Stream error:', error);
-        this.streamingClients.delete(streamId);
-        if (!res.headersSent) {
-          res.status(500).end();
-        }
+        this.endStream(streamId);
+        // Headers are already out, so the only signal left is a truncated response
+        res.destroy(error);
       });
       
-      stream.on('end', () => {
-        console.log(`Stream completed: ${streamId}`);
-        this.streamingClients.delete(streamId);
-      });
+      stream.on('end', () => streamPart(index + 1));
       
-      res.on('close', () => {
-        console.log(`Client disconnected: ${streamId}`);
-        this.streamingClients.delete(streamId);
-        stream.destroy();
-      });
-      
-      // Pipe the stream to response
-      stream.pipe(res);
-    } catch (error) {
-      console.error('Stream setup error:', error);
-      res.status(500).json({ error: 'Failed to setup stream' });
-    }
+      stream.pipe(res, { end: false });
+    };
+    
+    streamPart(0);
+  }
+
+  // Untracks a stream and reports it once; false if it had already ended
+  endStream(streamId) {
+    const client = this.streamingClients.get(streamId);
+    if (!client) return false;
+    
+    this.streamingClients.delete(streamId);
+    this.emit('streamEnd', {
+      streamId,
+      torrentId: client.torrentId,
+      id: client.id,
+      userId: client.userId,
+      title: client.title,
+      bytesStreamed: client.bytesStreamed,
+      position: client.position,
+      fileSize: client.file.length,
+      duration: (Date.now() - client.startTime) / 1000
+    });
+    return true;
   }
 
   getContentType(filename) {
@@ -235,6 +582,119 @@ class TorrentStreamer {
     return match ? match[1].toLowerCase() : magnetLink.substring(0, 40);
   }
 
+  // Throughput over roughly the last second
+  updateRate(client, bytes) {
+    const now = Date.now();
+    client.rateWindowBytes += bytes;
+    
+    const elapsed = now - client.rateWindowStart;
+    if (elapsed >= 1000) {
+      client.currentRate = Math.round(client.rateWindowBytes * 1000 / elapsed);
+      client.rateWindowStart = now;
+      client.rateWindowBytes = 0;
+    }
+  }
+
+  // Contiguous pieces already downloaded from the playhead onwards
+  getBufferedAhead(torrent, file, position) {
+    if (!torrent.bitfield || !torrent.pieceLength) return 0;
+    
+    const firstPiece = Math.floor((file.offset + position) / torrent.pieceLength);
+    const lastPiece = Math.floor((file.offset + file.length - 1) / torrent.pieceLength);
+    let pieces = 0;
+    
+    for (let piece = firstPiece; piece <= lastPiece && torrent.bitfield.get(piece); piece++) {
+      pieces++;
+    }
+    return pieces;
+  }
+
+  getStreamStats() {
+    const now = Date.now();
+    
+    return Array.from(this.streamingClients.entries()).map(([streamId, client]) => {
+      const torrent = this.activeTorrents.get(client.torrentId);
+      const duration = (now - client.startTime) / 1000;
+      // A stalled stream stops emitting data, so its last sample goes stale
+      const currentRate = now - client.rateWindowStart > 2000 ? 0 : client.currentRate;
+      
+      return {
+        streamId,
+        torrentId: client.torrentId,
+        id: client.id,
+        title: client.title,
+        fileName: client.fileName,
+        ip: client.ip,
+        bytesSent: client.bytesStreamed,
+        throughput: currentRate,
+        averageThroughput: Math.round(client.bytesStreamed / Math.max(duration, 1)),
+        duration: Math.round(duration),
+        position: client.position,
+        fileSize: client.file.length,
+        piecesBufferedAhead: torrent ? this.getBufferedAhead(torrent, client.file, client.position) : 0
+      };
+    });
+  }
+
+  getTorrentStats() {
+    return Array.from(this.activeTorrents.entries()).map(([torrentId, torrent]) => {
+      const streams = Array.from(this.streamingClients.values()).filter(client => client.torrentId === torrentId);
+      
+      return {
+        torrentId,
+        name: torrent.name || null,
+        ready: !!torrent.ready,
+        size: torrent.length || 0,
+        progress: torrent.progress || 0,
+        downloaded: torrent.downloaded || 0,
+        uploaded: torrent.uploaded || 0,
+        downloadSpeed: torrent.downloadSpeed || 0,
+        uploadSpeed: torrent.uploadSpeed || 0,
+        peers: torrent.numPeers || 0,
+        timeRemaining: Number.isFinite(torrent.timeRemaining) ? torrent.timeRemaining : null,
+        pieceLength: torrent.pieceLength || 0,
+        activeStreams: streams.length,
+        // Least buffered stream is the one closest to stalling
+        piecesBufferedAhead: streams.length > 0
+          ? Math.min(...streams.map(client => this.getBufferedAhead(torrent, client.file, client.position)))
+          : null,
+        lastAccess: this.lifecycle.lastAccess.get(torrentId) || null
+      };
+    });
+  }
+
+  stopStream(streamId) {
+    const client = this.streamingClients.get(streamId);
+    if (!client) return false;
+    
+    console.log(`Stopping stream: ${streamId}`);
+    this.endStream(streamId);
+    client.res.destroy();
+    return true;
+  }
+
+  // Ends every stream reading from the torrent, then destroys it (downloaded data stays on disk)
+  async stopTorrent(torrentId) {
+    if (!this.activeTorrents.has(torrentId)) return false;
+    
+    for (const [streamId, client] of this.streamingClients.entries()) {
+      if (client.torrentId === torrentId) {
+        this.stopStream(streamId);
+      }
+    }
+    
+    await this.lifecycle.release(torrentId);
+    return true;
+  }
+
+  // Keeps a torrent alive for readers that are not tracked in streamingClients (HLS)
+  touchTorrent(magnetLink) {
+    const torrentId = this.getTorrentId(magnetLink);
+    if (this.activeTorrents.has(torrentId)) {
+      this.lifecycle.touch(torrentId);
+    }
+  }
+
   getStats() {
     const streamingCount = this.streamingClients.size;
     const activeTorrentCount = this.activeTorrents.size;
@@ -256,7 +716,8 @@ class TorrentStreamer {
       totalUploaded: this.formatBytes(totalUploaded),
       totalPeers,
       clientRatio: totalUploaded / (totalDownloaded || 1),
-      webTorrentAvailable: !!this.client
+      webTorrentAvailable: !!this.client,
+      lifecycle: this.lifecycle.getStats()
     };
   }
 
@@ -274,6 +735,7 @@ class TorrentStreamer {
     
     // Clear all streaming clients
     this.streamingClients.clear();
+    this.lifecycle.destroy();
     
     if (this.client) {
       // Destroy all active torrents
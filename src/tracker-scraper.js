@@ -0,0 +1,201 @@
+const axios = require('axios');
+const dgram = require('dgram');
+const crypto = require('crypto');
+
+// UDP tracker protocol (BEP 15)
+const UDP_PROTOCOL_ID = Buffer.from('0000041727101980', 'hex');
+const UDP_ACTION_CONNECT = 0;
+const UDP_ACTION_SCRAPE = 2;
+const UDP_ACTION_ERROR = 3;
+
+// Asks the trackers listed in a magnet link how many peers a torrent has,
+// using the HTTP scrape convention and the UDP tracker protocol.
+class TrackerScraper {
+  constructor() {
+    this.timeout = parseInt(process.env.SCRAPE_TIMEOUT) || 5000;
+    this.maxTrackers = parseInt(process.env.SCRAPE_MAX_TRACKERS) || 5;
+  }
+
+  // Best answer across trackers, or null when none of them responded
+  async scrape(magnetLink) {
+    const infoHash = this.getInfoHash(magnetLink);
+    const trackers = this.getTrackers(magnetLink).slice(0, this.maxTrackers);
+    if (!infoHash || trackers.length === 0) return null;
+
+    const results = await Promise.all(trackers.map(async tracker => {
+      try {
+        const result = tracker.startsWith('udp:')
+          ? await this.scrapeUDP(tracker, infoHash)
+          : await this.scrapeHTTP(tracker, infoHash);
+        return result ? { ...result, tracker } : null;
+      } catch (error) {
+        return null;
+      }
+    }));
+
+    // Trackers only see part of the swarm, so the largest count is the closest
+    const responses = results.filter(Boolean);
+    if (responses.length === 0) return null;
+
+    return responses.reduce((best, current) => current.seeders > best.seeders ? current : best);
+  }
+
+  getInfoHash(magnetLink) {
+    const match = magnetLink.match(/xt=urn:btih:([a-fA-F0-9]{40})/);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  getTrackers(magnetLink) {
+    const query = magnetLink.substring(magnetLink.indexOf('?') + 1);
+    const trackers = new URLSearchParams(query).getAll('tr');
+    return Array.from(new Set(trackers)).filter(tracker => /^(https?|udp):\/\//i.test(tracker));
+  }
+
+  // Only trackers whose announce path ends in "announce" support scrape
+  getScrapeUrl(announceUrl) {
+    const url = new URL(announceUrl);
+    const segments = url.pathname.split('/');
+    const last = segments[segments.length - 1];
+    if (!last.startsWith('announce')) return null;
+
+    segments[segments.length - 1] = last.replace('announce', 'scrape');
+    url.pathname = segments.join('/');
+    return url;
+  }
+
+  async scrapeHTTP(announceUrl, infoHash) {
+    const url = this.getScrapeUrl(announceUrl);
+    if (!url) return null;
+
+    // info_hash is the raw 20 bytes, percent-encoded byte by byte
+    const encodedHash = infoHash.replace(/.{2}/g, byte => `%${byte}`);
+    const separator = url.search ? '&' : '?';
+
+    const response = await axios.get(`${url.toString()}${separator}info_hash=${encodedHash}`, {
+      responseType: 'arraybuffer',
+      timeout: this.timeout
+    });
+
+    const body = this.decodeBencode(Buffer.from(response.data));
+    if (!body || !body.files) return null;
+
+    const stats = Object.values(body.files)[0];
+    if (!stats) return null;
+
+    return {
+      seeders: stats.complete || 0,
+      leechers: stats.incomplete || 0,
+      completed: stats.downloaded || 0
+    };
+  }
+
+  scrapeUDP(announceUrl, infoHash) {
+    const url = new URL(announceUrl);
+
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(url.hostname.includes(':') ? 'udp6' : 'udp4');
+      const transactionId = crypto.randomBytes(4);
+
+      const timer = setTimeout(() => finish(new Error(`UDP tracker timeout: ${url.host}`)), this.timeout);
+
+      const finish = (error, result) => {
+        clearTimeout(timer);
+        socket.close();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      const send = message => socket.send(message, parseInt(url.port, 10) || 80, url.hostname, error => {
+        if (error) finish(error);
+      });
+
+      socket.on('error', finish);
+
+      socket.on('message', message => {
+        if (message.length < 8 || !message.subarray(4, 8).equals(transactionId)) return;
+
+        const action = message.readUInt32BE(0);
+        if (action === UDP_ACTION_ERROR) {
+          finish(new Error(`UDP tracker error: ${message.subarray(8).toString()}`));
+        } else if (action === UDP_ACTION_CONNECT && message.length >= 16) {
+          const connectionId = message.subarray(8, 16);
+          send(Buffer.concat([connectionId, this.uint32(UDP_ACTION_SCRAPE), transactionId, Buffer.from(infoHash, 'hex')]));
+        } else if (action === UDP_ACTION_SCRAPE && message.length >= 20) {
+          finish(null, {
+            seeders: message.readUInt32BE(8),
+            completed: message.readUInt32BE(12),
+            leechers: message.readUInt32BE(16)
+          });
+        }
+      });
+
+      send(Buffer.concat([UDP_PROTOCOL_ID, this.uint32(UDP_ACTION_CONNECT), transactionId]));
+    });
+  }
+
+  uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value);
+    return buffer;
+  }
+
+  // Minimal bencode decoder; dictionary keys become latin1 strings so binary
+  // info hashes survive as keys, other strings are decoded as UTF-8
+  decodeBencode(buffer) {
+    let position = 0;
+
+    const readUntil = char => {
+      const end = buffer.indexOf(char, position);
+      if (end === -1) throw new Error('Invalid bencode');
+      const value = buffer.toString('latin1', position, end);
+      position = end + 1;
+      return value;
+    };
+
+    const readBytes = () => {
+      const length = parseInt(readUntil(':'), 10);
+      const value = buffer.subarray(position, position + length);
+      position += length;
+      return value;
+    };
+
+    const decode = () => {
+      const type = String.fromCharCode(buffer[position]);
+
+      if (type === 'i') {
+        position++;
+        return parseInt(readUntil('e'), 10);
+      }
+      if (type === 'l') {
+        position++;
+        const list = [];
+        while (buffer[position] !== 0x65) list.push(decode());
+        position++;
+        return list;
+      }
+      if (type === 'd') {
+        position++;
+        const dict = {};
+        while (buffer[position] !== 0x65) {
+          const key = readBytes().toString('latin1');
+          dict[key] = decode();
+        }
+        position++;
+        return dict;
+      }
+      if (position >= buffer.length) throw new Error('Invalid bencode');
+      return readBytes().toString('utf8');
+    };
+
+    try {
+      return decode();
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = TrackerScraper;
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+// Players read well ahead of the playhead and probe the end of the file for
+// the index, so short reads say nothing about where the viewer is
+const MIN_POSITION_BYTES = 2 * 1024 * 1024;
+
+// Per-user watch history: what was streamed, for how long, and the last byte
+// offset and estimated time position, so playlists can offer resume points.
+class WatchHistory {
+  constructor(filePath = process.env.WATCH_HISTORY_PATH || './data/history.json') {
+    this.filePath = path.resolve(filePath);
+    this.users = new Map();
+    this.saveTimer = null;
+    this.completedRatio = parseFloat(process.env.WATCH_COMPLETED_RATIO) || 0.9;
+
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.entries(data).forEach(([userId, items]) => {
+        this.users.set(userId, new Map(Object.entries(items)));
+      });
+    } catch (error) {
+      console.error('Failed to load watch history:', error.message);
+    }
+  }
+
+  // Stream ends come in bursts (one per range request), so writes are batched
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => console.error('Failed to save watch history:', error.message));
+    }, 5000);
+    this.saveTimer.unref();
+  }
+
+  async save() {
+    const data = {};
+    this.users.forEach((items, userId) => {
+      data[userId] = Object.fromEntries(items);
+    });
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  getUserItems(userId) {
+    if (!this.users.has(userId)) {
+      this.users.set(userId, new Map());
+    }
+    return this.users.get(userId);
+  }
+
+  // item: { id, type, title, runtime (minutes) }; stream: a TorrentStreamer 'streamEnd' record
+  record(userId, item, stream) {
+    const items = this.getUserItems(userId);
+    const now = Date.now();
+    const entry = items.get(item.id) || {
+      id: item.id,
+      type: item.type,
+      title: item.title,
+      firstWatchedAt: now,
+      watchSeconds: 0,
+      sessions: 0,
+      lastByteOffset: 0,
+      positionSeconds: 0,
+      completed: false
+    };
+
+    // A new session starts after a break of more than 30 minutes
+    if (!entry.lastWatchedAt || now - entry.lastWatchedAt > 30 * 60 * 1000) {
+      entry.sessions++;
+    }
+
+    entry.title = item.title;
+    entry.lastWatchedAt = now;
+    entry.watchSeconds += Math.round(stream.duration);
+    entry.fileSize = stream.fileSize;
+
+    if (stream.bytesStreamed >= MIN_POSITION_BYTES) {
+      entry.lastByteOffset = stream.position;
+      const ratio = stream.fileSize ? stream.position / stream.fileSize : 0;
+      entry.progress = Math.round(ratio * 1000) / 1000;
+      entry.positionSeconds = item.runtime ? Math.round(ratio * item.runtime * 60) : null;
+      entry.completed = ratio >= this.completedRatio;
+    }
+
+    items.set(item.id, entry);
+    this.scheduleSave();
+    return entry;
+  }
+
+  list(userId) {
+    return Array.from(this.getUserItems(userId).values())
+      .sort((a, b) => b.lastWatchedAt - a.lastWatchedAt);
+  }
+
+  get(userId, itemId) {
+    return this.getUserItems(userId).get(itemId) || null;
+  }
+
+  // Started but not finished, most recent first
+  getInProgress(userId) {
+    return this.list(userId).filter(entry => !entry.completed && entry.lastByteOffset > 0);
+  }
+
+  clear(userId, itemId = null) {
+    const items = this.getUserItems(userId);
+    const removed = itemId ? (items.delete(itemId) ? 1 : 0) : items.size;
+
+    if (!itemId) {
+      items.clear();
+    }
+    this.scheduleSave();
+    return removed;
+  }
+}
+
+module.exports = WatchHistory;
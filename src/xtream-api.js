@@ -0,0 +1,191 @@
+// Xtream Codes compatible API (player_api.php) backed by the movie library.
+// Category ids are TMDB genre ids so they stay stable across refreshes.
+class XtreamAPI {
+  constructor(movieCache, m3uGenerator, tmdb, auth = null) {
+    this.movieCache = movieCache;
+    this.m3uGenerator = m3uGenerator;
+    this.tmdb = tmdb;
+    this.auth = auth;
+    this.username = process.env.XTREAM_USERNAME || null;
+    this.password = process.env.XTREAM_PASSWORD || null;
+  }
+
+  // Returns the user behind a login, or null. With token auth enabled the
+  // password is an API token; otherwise the configured credentials apply, and
+  // without them any login is accepted.
+  authenticate(username, password) {
+    if (this.auth && this.auth.enabled) {
+      return this.auth.verifyToken(password);
+    }
+    if (this.username || this.password) {
+      if (username !== this.username || password !== this.password) return null;
+    }
+    return { id: 'default' };
+  }
+
+  async handle(query, serverInfo) {
+    const { username, password, action } = query;
+
+    if (!this.authenticate(username, password)) {
+      return { user_info: { auth: 0 } };
+    }
+
+    switch (action) {
+      case 'get_vod_categories':
+        return this.getVodCategories();
+      case 'get_vod_streams':
+        return this.getVodStreams(query.category_id);
+      case 'get_vod_info':
+        return this.getVodInfo(query.vod_id);
+      case 'get_live_categories':
+      case 'get_live_streams':
+      case 'get_series_categories':
+      case 'get_series':
+        return [];
+      default:
+        return this.getLoginInfo(username, password, serverInfo);
+    }
+  }
+
+  getLoginInfo(username, password, serverInfo) {
+    const now = Math.floor(Date.now() / 1000);
+
+    return {
+      user_info: {
+        username,
+        password,
+        message: '',
+        auth: 1,
+        status: 'Active',
+        exp_date: null,
+        is_trial: '0',
+        active_cons: '0',
+        created_at: now.toString(),
+        max_connections: '1',
+        allowed_output_formats: ['ts', 'm3u8']
+      },
+      server_info: {
+        url: serverInfo.host,
+        port: serverInfo.port.toString(),
+        https_port: '',
+        server_protocol: serverInfo.protocol,
+        rtmp_port: '',
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        timestamp_now: now,
+        time_now: new Date().toISOString().replace('T', ' ').substring(0, 19)
+      }
+    };
+  }
+
+  getVodCategories() {
+    const categories = new Map();
+
+    for (const movie of this.getMovies()) {
+      const categoryId = this.getCategoryId(movie);
+      if (!categories.has(categoryId)) {
+        categories.set(categoryId, {
+          category_id: categoryId,
+          category_name: this.m3uGenerator.getPrimaryGenre(movie.genreIds),
+          parent_id: 0
+        });
+      }
+    }
+
+    return Array.from(categories.values())
+      .sort((a, b) => a.category_name.localeCompare(b.category_name));
+  }
+
+  getVodStreams(categoryId) {
+    return this.getMovies()
+      .filter(movie => !categoryId || this.getCategoryId(movie) === categoryId.toString())
+      .map((movie, index) => ({
+        num: index + 1,
+        name: `${movie.title} (${movie.year})`,
+        stream_type: 'movie',
+        stream_id: movie.id,
+        stream_icon: movie.poster || '',
+        rating: movie.rating ? movie.rating.toFixed(1) : '0',
+        rating_5based: movie.rating ? Math.round(movie.rating / 2 * 10) / 10 : 0,
+        added: this.getAddedTimestamp(movie),
+        category_id: this.getCategoryId(movie),
+        container_extension: this.getContainerExtension(movie.torrent),
+        custom_sid: '',
+        direct_source: ''
+      }));
+  }
+
+  async getVodInfo(vodId) {
+    const movie = this.movieCache.get((vodId || '').toString());
+    if (!movie || !movie.torrent) {
+      return { info: [], movie_data: [] };
+    }
+
+    const details = await this.tmdb.withMovieDetails(movie);
+    const durationSecs = details.runtime ? details.runtime * 60 : 0;
+
+    return {
+      info: {
+        tmdb_id: movie.id.toString(),
+        name: movie.title,
+        o_name: movie.originalTitle || movie.title,
+        cover_big: movie.poster || '',
+        movie_image: movie.poster || '',
+        backdrop_path: movie.backdrop ? [movie.backdrop] : [],
+        releasedate: movie.releaseDate || '',
+        youtube_trailer: this.tmdb.getYoutubeKey(details.trailer) || '',
+        director: details.director || '',
+        actors: details.cast || '',
+        cast: details.cast || '',
+        description: movie.description,
+        plot: movie.description,
+        genre: details.genres
+          ? details.genres.split('|').join(', ')
+          : this.m3uGenerator.mapGenres(movie.genreIds).split('|').join(', '),
+        duration_secs: durationSecs,
+        duration: this.formatDuration(durationSecs),
+        rating: movie.rating ? movie.rating.toFixed(1) : '0',
+        video: {},
+        audio: {},
+        bitrate: 0
+      },
+      movie_data: {
+        stream_id: movie.id,
+        name: `${movie.title} (${movie.year})`,
+        added: this.getAddedTimestamp(movie),
+        category_id: this.getCategoryId(movie),
+        container_extension: this.getContainerExtension(movie.torrent),
+        custom_sid: '',
+        direct_source: ''
+      }
+    };
+  }
+
+  getMovies() {
+    return Array.from(this.movieCache.values()).filter(movie => movie.torrent);
+  }
+
+  getCategoryId(movie) {
+    return movie.genreIds && movie.genreIds.length > 0 ? movie.genreIds[0].toString() : '0';
+  }
+
+  getAddedTimestamp(movie) {
+    const added = movie.addedAt || (movie.releaseDate ? Date.parse(movie.releaseDate) : Date.now());
+    return Math.floor(added / 1000).toString();
+  }
+
+  getContainerExtension(torrent) {
+    const title = (torrent && torrent.title || '').toLowerCase();
+    if (title.includes('mkv') || title.includes('x265') || title.includes('hevc')) return 'mkv';
+    if (title.includes('avi') || title.includes('xvid')) return 'avi';
+    return 'mp4';
+  }
+
+  formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    return [hours, minutes, secs].map(n => n.toString().padStart(2, '0')).join(':');
+  }
+}
+
+module.exports = XtreamAPI;